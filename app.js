@@ -1,23 +1,110 @@
 // app.js – Tournament logic + UI (vanilla JS)
 
-const uid = () => Math.random().toString(36).slice(2);
-
 // --- Data types in comments ---
-// Participant: { id, name, flagUrl }
-// PlayerSlot: { participant, points }
-// Match: { id, slots: PlayerSlot[4], isComplete, placements?: Participant[] }
-// Round: { id, name, matches: Match[], computed }
+// Participant: { id, name, flagUrl, section? }
+// PlayerSlot: { participant, points, status?, legs? }  (status: see
+//   SLOT_STATUSES; legs: per-leg scores, see Leg scores)
+// Match: { id, slots: PlayerSlot[4], isComplete, placements?: Participant[],
+//          legs? }
+// Round: { id, name, matches: Match[], computed, tiebreaks?, shootOffs?,
+//          overrides? }
+//   tiebreaks: wildcard cuts decided between equal scores (see selectPlace)
+//   shootOffs: { id, place, points, spots, slots }[] played to settle a cut
+//   overrides: organiser changes to the generated lineup (see applyOverride)
 
 const state = {
   participants: [],
   rounds: [],
+  // Custom tournament format; null means the default preset (see formats).
+  tournamentFormat: null,
+  tiebreaks: null,
+  // Legs per match for detailed scoring; null means one score per player.
+  legs: null,
+  // What a valid score is; null means the defaults (see score rules).
+  scoreRules: null,
+  // Random stream: every random choice is drawn from `seed` + `draws`.
+  seed: newSeed(),
+  draws: 0,
 };
 
+// ====== Randomness ======
+// Ids, draws and random tiebreaks all come from one seeded stream, so a
+// tournament with the same seed and the same actions comes out identical.
+// The stream position (`draws`) is part of state and saved with it. Each
+// round-building step runs on its own sub-seed, recorded on the round, so
+// the step can be replayed later (see replayRound).
+
+/** A fresh tournament seed; the only place that uses Math.random. */
+function newSeed() {
+  return Math.random().toString(36).slice(2, 10);
+}
+
+/** Deterministic pseudo-random number in [0, 1) for a string key. */
+function drawValue(key) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    h ^= key.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  // Finalise so keys that differ only in their last character still land
+  // far apart.
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return (h >>> 0) / 4294967296;
+}
+
+/** Next number in [0, 1) from the tournament's random stream. */
+function random() {
+  return drawValue(`${state.seed}#${state.draws++}`);
+}
+
+function uid() {
+  return Math.floor(random() * 36 ** 8)
+    .toString(36)
+    .padStart(8, "0");
+}
+
+/** Run `fn` with the random stream set to `seed`, then put it back. */
+function withSeed(seed, fn) {
+  const saved = { seed: state.seed, draws: state.draws };
+  state.seed = seed;
+  state.draws = 0;
+  try {
+    return fn();
+  } finally {
+    Object.assign(state, saved);
+  }
+}
+
+/** Run one round-building step on its own sub-seed (or a given `seed` to
+ * replay it) and stamp that seed on the round it returns.
+ */
+function seededStep(build, seed = uid()) {
+  const round = withSeed(seed, build);
+  if (round) round.seed = seed;
+  return round;
+}
+
 // ====== Helpers ======
-function chunk4(arr) {
-  const out = [];
-  for (let i = 0; i < arr.length; i += 4) out.push(arr.slice(i, i + 4));
-  return out;
+const isPlainObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v);
+const isBye = (p) => Boolean(p) && p.name === "BYE";
+
+// Statuses for players who didn't finish a match. They rank below every
+// finisher and never advance; their spot goes to the next eligible player.
+const SLOT_STATUSES = {
+  DNS: "Did not start",
+  DNF: "Did not finish",
+  DQ: "Disqualified",
+  Forfeit: "Forfeit",
+};
+
+/** Status of a participant's slot in `match`, if they have one. */
+function slotStatus(match, participantId) {
+  return match.slots.find((s) => s.participant?.id === participantId)?.status;
 }
 
 /** Convert 0-based index to alphabetical label: 0->A, 25->Z, 26->AA, etc. */
@@ -84,30 +171,158 @@ function assignedInFirstRound() {
   return ids;
 }
 
-function makeByes(count) {
-  return Array.from({ length: count }, (_, i) => ({
-    id: `bye_${i}_${uid()}`,
-    name: "BYE",
-  }));
+// Round 1 section rule: two players of the same section may not share a
+// match, except the open section "4" (lowest seeds), which fills the rest.
+const OPEN_SECTION = "4";
+
+function sectionOf(p) {
+  return p?.section ? String(p.section).trim() : null;
 }
 
-function seedInitialRound(players) {
-  const groups = distributeIntoGroups(players);
-  const matches = groups.map((g) => {
-    // Ensure each match has at least 4 slots (pad with BYEs if needed)
-    const desiredSize = Math.max(4, g.length);
-    const filled =
-      g.length < desiredSize ? [...g, ...makeByes(desiredSize - g.length)] : g;
-    return {
-      id: `m_${uid()}`,
-      slots: filled.map((p) => ({
-        participant: p,
-        points: p.name === "BYE" ? 0 : undefined,
-      })),
-      isComplete: false,
-    };
+function sectionsClash(a, b) {
+  const sec = sectionOf(a);
+  return Boolean(sec) && sec !== OPEN_SECTION && sec === sectionOf(b);
+}
+
+/** Messages for every pair in Round 1 that breaks the section rule. */
+function firstRoundClashes(round) {
+  const out = [];
+  round.matches.forEach((m, mIdx) => {
+    const players = m.slots.map((s) => s.participant).filter(Boolean);
+    players.forEach((a, i) =>
+      players.slice(i + 1).forEach((b) => {
+        if (sectionsClash(a, b))
+          out.push(
+            `Match ${indexToLabel(mIdx)}: ${a.name} and ${
+              b.name
+            } are both in section ${sectionOf(a)}`
+          );
+      })
+    );
+  });
+  return out;
+}
+
+// Matches smaller than this are allowed (forced group counts) but flagged.
+const MIN_GROUP_SIZE = 4;
+
+/** Check a Round 1 draw before it is locked. Returns { errors, warnings }:
+ * errors (empty slots, unassigned players, section clashes, matches that
+ * can't be played) block Round Winners; warnings (same-country pairs, small
+ * matches) are only shown.
+ */
+function validateFirstRound(round) {
+  const errors = [];
+  const warnings = [];
+  round.matches.forEach((m, mIdx) => {
+    const label = `Match ${indexToLabel(mIdx)}`;
+    const empty = m.slots.filter((s) => !s.participant).length;
+    if (empty) errors.push(`${label}: ${empty} empty slot(s)`);
+    const players = m.slots.map((s) => s.participant).filter(Boolean);
+    const real = players.filter((p) => !isBye(p));
+    if (real.length < 2)
+      errors.push(`${label}: needs at least 2 players, has ${real.length}`);
+    else if (real.length < MIN_GROUP_SIZE)
+      warnings.push(
+        `${label}: only ${real.length} players (minimum ${MIN_GROUP_SIZE})`
+      );
+    real.forEach((a, i) =>
+      real.slice(i + 1).forEach((b) => {
+        if (a.flagUrl && countryKey(a.flagUrl) === countryKey(b.flagUrl))
+          warnings.push(`${label}: ${a.name} and ${b.name} share a country`);
+      })
+    );
+  });
+  const placed = new Set(
+    round.matches.flatMap((m) => m.slots.map((s) => s.participant?.id))
+  );
+  state.participants.forEach((p) => {
+    if (!placed.has(p.id)) errors.push(`${p.name} is not in any match`);
+  });
+  errors.push(...firstRoundClashes(round));
+  return { errors, warnings };
+}
+
+/** Shuffle a copy of `list` with the tournament's random stream. */
+function shuffled(list) {
+  const out = list.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/** How bad a group is for the Round 1 draw: section clashes dominate, then
+ * players from the same country, then any shared section so sections spread
+ * evenly across the groups.
+ */
+function drawCost(players) {
+  let cost = 0;
+  players.forEach((a, i) =>
+    players.slice(i + 1).forEach((b) => {
+      if (sectionsClash(a, b)) cost += 1000;
+      else if (sectionOf(a) && sectionOf(a) === sectionOf(b)) cost += 1;
+      if (a.flagUrl && countryKey(a.flagUrl) === countryKey(b.flagUrl))
+        cost += 10;
+    })
+  );
+  return cost;
+}
+
+/** Draw `players` into groups of the given `sizes`. Players are shuffled,
+ * then placed seeds first (`seedSection`, one per group while they last) and
+ * by section, each into the open group where they cost least; finally
+ * players are swapped between groups while that lowers the total cost.
+ */
+function drawGroups(players, sizes, seedSection) {
+  const rank = (p) => {
+    const sec = sectionOf(p);
+    if (!sec) return Infinity;
+    if (sec === seedSection) return -Infinity;
+    const n = parseFloat(sec);
+    return Number.isFinite(n) ? n : Number.MAX_VALUE;
+  };
+  const order = shuffled(players).sort((a, b) =>
+    rank(a) === rank(b) ? 0 : rank(a) < rank(b) ? -1 : 1
+  );
+  const groups = sizes.map(() => []);
+  order.forEach((p) => {
+    let best = -1;
+    let bestCost = Infinity;
+    groups.forEach((g, i) => {
+      if (g.length >= sizes[i]) return;
+      const cost = drawCost([...g, p]) - drawCost(g);
+      if (
+        cost < bestCost ||
+        (cost === bestCost && g.length < groups[best].length)
+      ) {
+        best = i;
+        bestCost = cost;
+      }
+    });
+    groups[best].push(p);
   });
-  return { id: `r_${uid()}`, name: "Round 1", matches, computed: false };
+
+  let improved = true;
+  for (let pass = 0; improved && pass < 20; pass++) {
+    improved = false;
+    for (let a = 0; a < groups.length; a++)
+      for (let b = a + 1; b < groups.length; b++)
+        for (let i = 0; i < groups[a].length; i++)
+          for (let j = 0; j < groups[b].length; j++) {
+            const ga = groups[a].slice();
+            const gb = groups[b].slice();
+            [ga[i], gb[j]] = [gb[j], ga[i]];
+            const before = drawCost(groups[a]) + drawCost(groups[b]);
+            if (drawCost(ga) + drawCost(gb) < before) {
+              groups[a] = ga;
+              groups[b] = gb;
+              improved = true;
+            }
+          }
+  }
+  return groups;
 }
 
 /** Compute group sizes for the first (manual) round using same balancing rules
@@ -155,1052 +370,4162 @@ function computeGroupSizesForCount(N, gCount) {
   return sizes;
 }
 
-function computePlacements(match) {
-  // Incomplete if any real participant lacks points
-  const needs = match.slots.some(
-    (s) =>
-      s.participant &&
-      s.participant.name !== "BYE" &&
-      typeof s.points !== "number"
-  );
-  if (needs) return { ...match, isComplete: false };
+// ====== Leg scores ======
+// Optional detailed scoring: a match with `legs` is played over that many
+// legs and each slot keeps its per-leg scores in `slot.legs` (null for a
+// leg not entered yet). The slot's `points` is their sum once every leg is
+// in, so placements never count a half-scored match. New matches take
+// their leg count from `state.legs`; shoot-offs are always a single score.
+const MAX_LEGS = 20;
 
-  const withIdx = match.slots.map((s, idx) => ({ idx, slot: s }));
-  const sorted = withIdx.sort((a, b) => {
-    const pa = a.slot.points ?? -Infinity;
-    const pb = b.slot.points ?? -Infinity;
-    if (pb !== pa) return pb - pa; // desc
-    const na = a.slot.participant?.name || "";
-    const nb = b.slot.participant?.name || "";
-    if (na !== nb) return na.localeCompare(nb);
-    return (a.slot.participant?.id || "").localeCompare(
-      b.slot.participant?.id || ""
-    );
-  });
-  const placements = sorted.map((x) => x.slot.participant).filter(Boolean);
-  return { ...match, placements, isComplete: true };
+const isLegCount = (n, min) => Number.isInteger(n) && n >= min && n <= MAX_LEGS;
+
+/** Leg count for new matches, as a field to spread into them. */
+function legsField() {
+  return state.legs ? { legs: state.legs } : {};
 }
 
-/** Return the points recorded for a participant id in a specific match (or 0).
- * This centralizes the lookup to avoid mismatches between placements and slot data.
- */
-function getPointsInMatch(match, participantId) {
-  if (!match || !participantId) return 0;
-  const slot = match.slots.find((s) => s.participant?.id === participantId);
-  return slot && typeof slot.points === "number" ? slot.points : 0;
+/** Sum of a slot's legs, or undefined while one of `count` is missing. */
+function legTotal(slot, count) {
+  const legs = (slot.legs || []).slice(0, count);
+  if (legs.length < count || legs.some((v) => typeof v !== "number"))
+    return undefined;
+  return legs.reduce((a, b) => a + b, 0);
 }
 
-function nextRoundFrom(current) {
-  const advancers = [];
-  const thirds = []; // { p, points }
-  current.matches.forEach((m) => {
-    const cm = computePlacements(m);
-    if (!cm.isComplete || !cm.placements) return;
-    const [first, second, third] = cm.placements;
-    if (first && first.name !== "BYE") advancers.push(first);
-    if (second && second.name !== "BYE") advancers.push(second);
-    if (third && third.name !== "BYE") {
-      const pts = getPointsInMatch(m, third.id);
-      thirds.push({ p: third, points: pts });
-    }
-  });
-  return { advancers, thirds };
+/** Enter `value` (NaN clears it) for leg `leg` of `slot` in `match`. */
+function setLegScore(match, slot, leg, value) {
+  const legs = slot.legs || Array(match.legs).fill(null);
+  legs[leg] = Number.isNaN(value) ? null : value;
+  if (legs.some((v) => typeof v === "number")) slot.legs = legs;
+  else delete slot.legs;
+  slot.points = legTotal(slot, match.legs);
 }
 
-function buildNextRound(prev, roundIndex) {
-  const { advancers, thirds } = nextRoundFrom(prev);
-  if (advancers.length === 0) return null;
-  // Debug: report advancers and previous round
-  try {
-    console.log(
-      "[buildNextRound] prev.name=",
-      prev.name,
-      "advancers=",
-      advancers.length,
-      advancers.map((p) => p?.name)
-    );
-  } catch (err) {
-    console.log("[buildNextRound] debug log failed", err);
-  }
+/** Change how many legs `match` has; extra leg scores are dropped. */
+function setMatchLegs(match, count) {
+  match.legs = count;
+  match.slots.forEach((s) => {
+    if (!s.legs) return;
+    s.legs = Array.from({ length: count }, (_, i) => s.legs[i] ?? null);
+    s.points = legTotal(s, count);
+  });
+}
 
-  // If previous round is already the Semifinal, build the Final Table from it:
-  // take the 3 winners plus the best second (by points) -> final 4.
-  if (prev.name === "Semifinal") {
-    const cms = prev.matches.map((m) => computePlacements(m));
-    try {
-      console.log(
-        "[buildNextRound] from Semifinal placements=",
-        cms.map((c) => ({
-          isComplete: c.isComplete,
-          placements: (c.placements || []).map((p) => p?.name),
-        }))
-      );
-    } catch (e) {
-      console.log("[buildNextRound] debug placements failed", e);
-    }
-    if (
-      !cms.every(
-        (cm) => cm.isComplete && cm.placements && cm.placements.length >= 2
-      )
-    ) {
-      return null; // need placements
-    }
-    const winners = cms.map((cm) => cm.placements[0]).filter(Boolean);
-    const seconds = cms
-      .map((cm, idx) => {
-        const second = cm.placements[1];
-        const pts = getPointsInMatch(prev.matches[idx], second?.id);
-        return { p: second, points: pts };
-      })
-      .filter((x) => x.p)
-      .sort((a, b) => b.points - a.points || a.p.name.localeCompare(b.p.name));
+/** Whether anything has been entered for `match` yet. */
+function matchHasScores(match) {
+  return match.slots.some(
+    (s) => typeof s.points === "number" || s.legs || s.status
+  );
+}
 
-    const bestSecond = seconds[0]?.p;
-    const adv = [...winners];
-    if (bestSecond) adv.push(bestSecond);
-    const uniqueAdv = Array.from(new Map(adv.map((p) => [p.id, p])).values());
-    if (uniqueAdv.length !== 4) return null;
+/** Legs of a slot as text, e.g. "3 + 2 + –"; empty without leg detail. */
+function describeLegs(slot) {
+  return (slot.legs || [])
+    .map((v) => (typeof v === "number" ? String(v) : "–"))
+    .join(" + ");
+}
 
-    // Order finalists by the points they scored in the semifinal (desc).
-    // Build a lookup of points from the semifinal prev.matches.
-    const pointsById = new Map();
-    prev.matches.forEach((m) => {
-      m.slots.forEach((s) => {
-        if (s.participant && typeof s.points === "number") {
-          pointsById.set(s.participant.id, s.points);
-        }
-      });
-    });
+// ====== Score rules ======
+// What a valid score looks like, set by the organiser (state.scoreRules;
+// null means DEFAULT_SCORE_RULES). Per player: `min` and `max` points and
+// whole numbers only (which also applies to each leg). Per match: a fixed
+// `total` of all finishers' points and `distinct` scores. BYEs and
+// withdrawn players are left out; the total isn't checked once someone
+// withdrew, since their share was never played.
+const DEFAULT_SCORE_RULES = {
+  min: 0,
+  max: null,
+  integers: true,
+  total: null,
+  distinct: false,
+};
 
-    uniqueAdv.sort((a, b) => {
-      const pa = pointsById.get(a.id) ?? 0;
-      const pb = pointsById.get(b.id) ?? 0;
-      if (pb !== pa) return pb - pa;
-      return (a.name || "").localeCompare(b.name || "");
-    });
+function scoreRules() {
+  return state.scoreRules || DEFAULT_SCORE_RULES;
+}
 
-    const groups = chunk4(uniqueAdv);
-    const matches = groups.map((g) => ({
-      id: `m_${uid()}`,
-      slots: g.map((p) => ({ participant: p })),
-      isComplete: false,
-    }));
-    return { id: `r_${uid()}`, name: "Final Table", matches, computed: false };
-  }
+/** Problems with a rules object; an empty list means it can be used. */
+function validateScoreRules(rules) {
+  if (!isPlainObject(rules)) return ["must be an object"];
+  const problems = [];
+  const optionalNumber = (key) => {
+    const v = rules[key];
+    if (v !== null && !Number.isFinite(v))
+      problems.push(`${key}: must be a number or null`);
+  };
+  ["min", "max", "total"].forEach(optionalNumber);
+  ["integers", "distinct"].forEach((key) => {
+    if (typeof rules[key] !== "boolean")
+      problems.push(`${key}: must be true or false`);
+  });
+  if (
+    Number.isFinite(rules.min) &&
+    Number.isFinite(rules.max) &&
+    rules.min > rules.max
+  )
+    problems.push("max: must not be below min");
+  return problems;
+}
 
-  // (Removed older Round 1 special-case that selected 15 advancers by
-  // global top-3 thirds. New logic below enforces per-pair 2/2/1 composition
-  // for Round 1 and will produce 3 matches of 5 players when possible.)
+/** Short description for history and settings, e.g. "0–40 pts, total 40". */
+function describeScoreRules(rules) {
+  const parts = [];
+  if (rules.min !== null && rules.max !== null)
+    parts.push(`${rules.min}–${rules.max} pts`);
+  else if (rules.min !== null) parts.push(`at least ${rules.min} pts`);
+  else if (rules.max !== null) parts.push(`at most ${rules.max} pts`);
+  if (rules.integers) parts.push("whole numbers");
+  if (rules.total !== null) parts.push(`total ${rules.total}`);
+  if (rules.distinct) parts.push("distinct scores");
+  return parts.join(", ") || "any score";
+}
 
-  // Special Round 1 (6 matches): take top-2 from each match + best 3 thirds
-  // globally, then arrange into three next matches with composition
-  // 2 firsts, 2 seconds, 1 third while avoiding placing players from the
-  // same previous match together when possible.
-  if (prev.name === "Round 1" && prev.matches.length === 6) {
-    const cms = prev.matches.map((m) => computePlacements(m));
-    if (
-      cms.every(
-        (cm) => cm.isComplete && cm.placements && cm.placements.length >= 2
-      )
-    ) {
-      // collect firsts and seconds
-      const firsts = cms
-        .map((cm, idx) => ({ p: cm.placements[0], matchIdx: idx }))
-        .filter((x) => x.p && x.p.name !== "BYE");
-      const seconds = cms
-        .map((cm, idx) => ({ p: cm.placements[1], matchIdx: idx }))
-        .filter((x) => x.p && x.p.name !== "BYE");
-      // collect third-placed players (one per match)
-      const thirdsAll = cms
-        .map((cm, idx) => ({ p: cm.placements[2], matchIdx: idx }))
-        .filter((x) => x.p && x.p.name !== "BYE");
-      // sort thirds by points desc, name tiebreak
-      thirdsAll.forEach((t) => {
-        t.points = getPointsInMatch(prev.matches[t.matchIdx], t.p.id);
-        // also capture the first/second points from the source match to use
-        // as tie-breakers when multiple thirds have equal points
-        const cm = cms[t.matchIdx];
-        t.secondPoints =
-          cm && cm.placements[1]
-            ? getPointsInMatch(prev.matches[t.matchIdx], cm.placements[1].id)
-            : 0;
-        t.firstPoints =
-          cm && cm.placements[0]
-            ? getPointsInMatch(prev.matches[t.matchIdx], cm.placements[0].id)
-            : 0;
+/** Rule violations in `match` as { slot, leg?, message }. `slot` is null
+ * for a problem with the match as a whole. Missing scores aren't reported
+ * here (see missingScores); pass `total: false` for shoot-offs.
+ */
+function scoreViolations(match, { total = true } = {}) {
+  const rules = scoreRules();
+  const out = [];
+  const finishers = [];
+  match.slots.forEach((s, slot) => {
+    if (!s.participant || isBye(s.participant) || s.status) return;
+    if (rules.integers)
+      (s.legs || []).forEach((v, leg) => {
+        if (typeof v === "number" && !Number.isInteger(v))
+          out.push({
+            slot,
+            leg,
+            message: `leg ${leg + 1}: ${v} is not a whole number`,
+          });
       });
-      // sort by: third points desc, secondPoints desc, firstPoints desc, name asc, matchIdx asc
-      thirdsAll.sort((a, b) => {
-        if (b.points !== a.points) return b.points - a.points;
-        if ((b.secondPoints || 0) !== (a.secondPoints || 0))
-          return (b.secondPoints || 0) - (a.secondPoints || 0);
-        if ((b.firstPoints || 0) !== (a.firstPoints || 0))
-          return (b.firstPoints || 0) - (a.firstPoints || 0);
-        const nameCmp = a.p.name.localeCompare(b.p.name);
-        if (nameCmp !== 0) return nameCmp;
-        return a.matchIdx - b.matchIdx;
+    if (typeof s.points !== "number") return;
+    finishers.push(slot);
+    const v = s.points;
+    if (rules.integers && !s.legs && !Number.isInteger(v))
+      out.push({ slot, message: `${v} is not a whole number` });
+    if (rules.min !== null && v < rules.min)
+      out.push({ slot, message: `${v} is below the minimum of ${rules.min}` });
+    if (rules.max !== null && v > rules.max)
+      out.push({ slot, message: `${v} is above the maximum of ${rules.max}` });
+  });
+  if (rules.distinct)
+    finishers.forEach((slot) => {
+      const points = match.slots[slot].points;
+      const same = finishers.filter(
+        (o) => o !== slot && match.slots[o].points === points
+      );
+      if (same.length)
+        out.push({
+          slot,
+          message: `${points} pts is also scored by ${same
+            .map((o) => match.slots[o].participant.name)
+            .join(", ")}`,
+        });
+    });
+  const playing = match.slots.filter(
+    (s) => s.participant && !isBye(s.participant)
+  );
+  if (
+    total &&
+    rules.total !== null &&
+    playing.length &&
+    finishers.length === playing.length
+  ) {
+    const sum = finishers.reduce((a, i) => a + match.slots[i].points, 0);
+    if (sum !== rules.total)
+      out.push({
+        slot: null,
+        message: `points add up to ${sum}, not ${rules.total}`,
       });
-      const thirdsSelected = thirdsAll.slice(0, 3);
-      try {
-        console.log(
-          "[buildNextRound] Round1 top-3 thirds:",
-          thirdsAll.map((t) => ({
-            name: t.p.name,
-            points: t.points,
-            matchIdx: t.matchIdx,
-          })),
-          "selected:",
-          thirdsSelected.map((t) => t.p.name)
-        );
-      } catch (e) {}
-
-      // Build 3 groups and attempt to assign exactly 2 firsts, 2 seconds and 1 third
-      // per group using a small exhaustive search to guarantee the composition.
-      // This search is limited (<= 540 checks) and deterministic.
-      if (
-        firsts.length === 6 &&
-        seconds.length === 6 &&
-        thirdsSelected.length === 3
-      ) {
-        // pair firsts into three groups: (0,1),(2,3),(4,5)
-        const firstPairs = [
-          [firsts[0], firsts[1]],
-          [firsts[2], firsts[3]],
-          [firsts[4], firsts[5]],
-        ];
-        const secIdx = [0, 1, 2, 3, 4, 5];
-        let solution = null;
-        // choose 2 indices for group0
-        for (let i = 0; i < 5 && !solution; i++) {
-          for (let j = i + 1; j < 6 && !solution; j++) {
-            const rem1 = secIdx.filter((idx) => idx !== i && idx !== j);
-            // choose 2 for group1 from rem1
-            for (let a = 0; a < rem1.length - 1 && !solution; a++) {
-              for (let b = a + 1; b < rem1.length && !solution; b++) {
-                const idxG0 = [i, j];
-                const idxG1 = [rem1[a], rem1[b]];
-                const idxG2 = rem1.filter(
-                  (x) => !idxG1.includes(x) && x !== i && x !== j
-                );
-                // build candidate groups with firsts + seconds
-                const groupsCand = [[], [], []];
-                const meta = [new Set(), new Set(), new Set()];
-                for (let gi = 0; gi < 3; gi++) {
-                  groupsCand[gi].push(firstPairs[gi][0].p);
-                  groupsCand[gi].push(firstPairs[gi][1].p);
-                  meta[gi].add(firstPairs[gi][0].matchIdx);
-                  meta[gi].add(firstPairs[gi][1].matchIdx);
-                }
-                const assignIdxs = [idxG0, idxG1, idxG2];
-                let bad = false;
-                for (let gi = 0; gi < 3 && !bad; gi++) {
-                  for (const sIdx of assignIdxs[gi]) {
-                    const sObj = seconds[sIdx];
-                    // avoid two players from same previous match in same group
-                    if (meta[gi].has(sObj.matchIdx)) {
-                      bad = true;
-                      break;
-                    }
-                    groupsCand[gi].push(sObj.p);
-                    meta[gi].add(sObj.matchIdx);
-                  }
-                }
-                if (bad) continue;
-                // now try all permutations of thirdsSelected (3! = 6)
-                const perms = [
-                  [0, 1, 2],
-                  [0, 2, 1],
-                  [1, 0, 2],
-                  [1, 2, 0],
-                  [2, 0, 1],
-                  [2, 1, 0],
-                ];
-                for (const perm of perms) {
-                  const groupsFinal = groupsCand.map((g) => g.slice());
-                  const metaFinal = meta.map((s) => new Set(s));
-                  let ok = true;
-                  for (let gi = 0; gi < 3; gi++) {
-                    const t = thirdsSelected[perm[gi]];
-                    if (metaFinal[gi].has(t.matchIdx)) {
-                      ok = false;
-                      break;
-                    }
-                    groupsFinal[gi].push(t.p);
-                    metaFinal[gi].add(t.matchIdx);
-                  }
-                  if (!ok) continue;
-                  if (groupsFinal.every((g) => g.length === 5)) {
-                    solution = groupsFinal;
-                    break;
-                  }
-                }
-              }
-            }
-          }
-        }
-        if (solution) {
-          const matches = solution.map((g) => ({
-            id: `m_${uid()}`,
-            slots: g.map((p) => ({ participant: p })),
-            isComplete: false,
-          }));
-          return {
-            id: `r_${uid()}`,
-            name: `Round ${roundIndex + 2}`,
-            matches,
-            computed: false,
-          };
-        }
-        // if no exact assignment found, fall through to the per-pair fallback below
-      }
-    }
   }
+  return out;
+}
 
-  // New rule: If the previous round is Round 1, prefer to form Round 2
-  // matches so that each next-match contains 2 first-places, 2 second-places
-  // and 1 third-place drawn from a pair of previous matches. We pair
-  // adjacent previous matches (0&1 -> next 0, 2&3 -> next 1, ...). This
-  // keeps advancement fair between neighbouring groups and ensures each
-  // next-match follows the 2/2/1 composition when possible. If we cannot
-  // build all matches with full 5 players this way, we fall back to the
-  // default advancer distribution.
-  if (prev.name === "Round 1") {
-    const cms = prev.matches.map((m) => computePlacements(m));
-    // require placements for matches we will use
-    if (
-      cms.every(
-        (cm) => cm.isComplete && cm.placements && cm.placements.length >= 2
-      )
-    ) {
-      const nextMatches = [];
-      const usedIds = new Set();
-      for (let i = 0; i < prev.matches.length; i += 2) {
-        const a = cms[i];
-        const b = cms[i + 1];
-        // collect firsts and seconds from both matches
-        const firsts = [];
-        const seconds = [];
-        const thirds = [];
-        if (a) {
-          if (a.placements[0] && a.placements[0].name !== "BYE")
-            firsts.push(a.placements[0]);
-          if (a.placements[1] && a.placements[1].name !== "BYE")
-            seconds.push(a.placements[1]);
-          if (a.placements[2] && a.placements[2].name !== "BYE") {
-            const pts =
-              prev.matches[i].slots.find(
-                (s) => s.participant?.id === a.placements[2]?.id
-              )?.points ?? 0;
-            thirds.push({ p: a.placements[2], points: pts });
-          }
-        }
-        if (b) {
-          if (b.placements[0] && b.placements[0].name !== "BYE")
-            firsts.push(b.placements[0]);
-          if (b.placements[1] && b.placements[1].name !== "BYE")
-            seconds.push(b.placements[1]);
-          if (b.placements[2] && b.placements[2].name !== "BYE") {
-            const pts =
-              prev.matches[i + 1].slots.find(
-                (s) => s.participant?.id === b.placements[2]?.id
-              )?.points ?? 0;
-            thirds.push({ p: b.placements[2], points: pts });
-          }
-        }
+/** Names of the players in `match` still waiting for a score. */
+function missingScores(match) {
+  return match.slots
+    .filter(
+      (s) =>
+        s.participant &&
+        !isBye(s.participant) &&
+        !s.status &&
+        typeof s.points !== "number"
+    )
+    .map((s) => s.participant.name);
+}
 
-        // We expect 2 firsts and 2 seconds to form a full 5-player match
-        if (firsts.length >= 2 && seconds.length >= 2 && thirds.length >= 1) {
-          // pick the best third by points among the pair
-          thirds.sort(
-            (x, y) => y.points - x.points || x.p.name.localeCompare(y.p.name)
-          );
-          const selected = [
-            firsts[0],
-            firsts[1],
-            seconds[0],
-            seconds[1],
-            thirds[0].p,
-          ];
-          // ensure uniqueness
-          const unique = Array.from(
-            new Map(selected.map((p) => [p.id, p])).values()
-          );
-          if (unique.length === 5) {
-            unique.forEach((p) => usedIds.add(p.id));
-            nextMatches.push({
-              id: `m_${uid()}`,
-              slots: unique.map((p) => ({ participant: p })),
-              isComplete: false,
-            });
-            continue;
-          }
-        }
-        // If we couldn't form a full 5-player match for this pair, bail out
-        // and fall back to the general distribution below.
-        nextMatches.length = 0;
-        break;
-      }
+/** Whether `match` has its placements and no broken score rule. */
+function matchIsComplete(match, ctx, options) {
+  return (
+    computePlacements(match, ctx).isComplete &&
+    !scoreViolations(match, options).length
+  );
+}
 
-      if (nextMatches.length > 0) {
-        return {
-          id: `r_${uid()}`,
-          name: `Round ${roundIndex + 2}`,
-          matches: nextMatches,
-          computed: false,
-        };
-      }
-    }
-  }
+/** Everything that keeps `round` from being computed, one line each. */
+function roundScoreProblems(round) {
+  const problems = [];
+  round.matches.forEach((m, mIdx) => {
+    const label = `Match ${indexToLabel(mIdx)}`;
+    missingScores(m).forEach((name) =>
+      problems.push(`${label}: ${name} has no points`)
+    );
+    scoreViolations(m).forEach((v) =>
+      problems.push(
+        v.slot === null
+          ? `${label}: ${v.message}`
+          : `${label}: ${m.slots[v.slot].participant.name} — ${v.message}`
+      )
+    );
+  });
+  return problems;
+}
 
-  // Attempt to form a Semifinal of 9 players (3 matches × 3 players).
-  // Build a candidate pool: winners first, then seconds (by points), then
-  // third-placed players (by points). If we can select 9 unique players,
-  // create the Semifinal and skip the minimum-4-player rule for this round.
-  if (prev.name !== "Semifinal") {
-    const cms = prev.matches.map((m) => computePlacements(m));
-    // need placements for all matches to reason about winners/seconds/thirds
-    if (cms.every((cm) => cm.isComplete && cm.placements)) {
-      const winners = cms
-        .map((cm) => cm.placements[0])
-        .filter((p) => p && p.name !== "BYE");
-
-      const seconds = cms
-        .map((cm, idx) => {
-          const second = cm.placements[1];
-          if (!second || second.name === "BYE") return null;
-          const pts =
-            prev.matches[idx].slots.find((s) => s.participant?.id === second.id)
-              ?.points ?? 0;
-          return { p: second, points: pts };
-        })
-        .filter(Boolean)
-        .sort(
-          (a, b) => b.points - a.points || a.p.name.localeCompare(b.p.name)
+// ====== Tiebreaks ======
+// Equal points are resolved by an ordered chain of rules chosen by the
+// organiser (state.tiebreaks). Each rule compares two candidates
+// { p, points, above? } and returns <0 when `a` ranks first, >0 for `b`, or
+// 0 to defer to the next rule; participant id is the last resort so the
+// order is always total. `ctx` is { rounds, roundIndex, seedKey, shootOffs? }:
+// the tournament's rounds, the index of the round being ranked, a key for
+// random draws (the round id, itself drawn from the tournament seed) and,
+// when picking advancers, the shoot-offs played after it.
+const TIEBREAK_RULES = {
+  headToHead: {
+    label: "Head-to-head (more points when they last met)",
+    compare(a, b, ctx) {
+      for (let r = ctx.roundIndex - 1; r >= 0; r--) {
+        const met = ctx.rounds[r]?.matches.find(
+          (m) =>
+            m.slots.some((s) => s.participant?.id === a.p.id) &&
+            m.slots.some((s) => s.participant?.id === b.p.id)
         );
+        if (!met) continue;
+        const diff =
+          getPointsInMatch(met, b.p.id) - getPointsInMatch(met, a.p.id);
+        if (diff) return diff;
+      }
+      return 0;
+    },
+  },
+  previousRound: {
+    label: "Points in the previous round",
+    compare(a, b, ctx) {
+      const prev = ctx.rounds[ctx.roundIndex - 1];
+      if (!prev) return 0;
+      return pointsInRound(prev, b.p.id) - pointsInRound(prev, a.p.id);
+    },
+  },
+  cumulative: {
+    label: "Total tournament points",
+    compare(a, b, ctx) {
+      const total = (id) =>
+        ctx.rounds
+          .slice(0, ctx.roundIndex + 1)
+          .reduce((sum, r) => sum + Math.max(0, pointsInRound(r, id)), 0);
+      return total(b.p.id) - total(a.p.id);
+    },
+  },
+  placesAbove: {
+    label: "Stronger match (points of players placed above; wildcards only)",
+    compare(a, b) {
+      if (!a.above || !b.above) return 0;
+      for (let i = 0; i < Math.min(a.above.length, b.above.length); i++)
+        if (b.above[i] !== a.above[i]) return b.above[i] - a.above[i];
+      return 0;
+    },
+  },
+  shootOff: {
+    label: "Shoot-off (ties at an advancement cut only)",
+    compare(a, b, ctx) {
+      const held = findShootOff(ctx.shootOffs, [a.p.id, b.p.id]);
+      if (!held) return 0;
+      const pa = held.slots.find((s) => s.participant?.id === a.p.id)?.points;
+      const pb = held.slots.find((s) => s.participant?.id === b.p.id)?.points;
+      return typeof pa === "number" && typeof pb === "number" ? pb - pa : 0;
+    },
+  },
+  seed: {
+    label: "Seed (lower section first)",
+    compare(a, b) {
+      const rank = (p) => {
+        const n = parseFloat(p.section);
+        return Number.isFinite(n) ? n : Infinity;
+      };
+      const ra = rank(a.p);
+      const rb = rank(b.p);
+      return ra === rb ? 0 : ra < rb ? -1 : 1;
+    },
+  },
+  draw: {
+    label: "Random draw (reproducible)",
+    compare(a, b, ctx) {
+      const roll = (p) => drawValue(`${ctx.seedKey}|${p.id}`);
+      return roll(a.p) - roll(b.p);
+    },
+  },
+  name: {
+    label: "Name (alphabetical)",
+    compare(a, b) {
+      return (a.p.name || "").localeCompare(b.p.name || "");
+    },
+  },
+};
 
-      // thirds param already contains third-placed players with points
-      const thirdsSorted = [...thirds].sort(
-        (a, b) => b.points - a.points || a.p.name.localeCompare(b.p.name)
-      );
-
-      // build candidate list: winners (unique), then seconds, then thirds
-      const seen = new Set();
-      const pool = [];
-      winners.forEach((w) => {
-        if (!seen.has(w.id)) {
-          seen.add(w.id);
-          pool.push(w);
-        }
-      });
-      seconds.forEach((s) => {
-        if (!seen.has(s.p.id)) {
-          seen.add(s.p.id);
-          pool.push(s.p);
-        }
-      });
-      thirdsSorted.forEach((t) => {
-        if (!seen.has(t.p.id)) {
-          seen.add(t.p.id);
-          pool.push(t.p);
-        }
-      });
+// Used until the organiser picks a chain: the stronger match wins a wildcard
+// tie, a shoot-off settles what is still level at a cut, anything else goes
+// alphabetically.
+const DEFAULT_TIEBREAKS = ["placesAbove", "shootOff", "name"];
 
-      // Debug: log candidate pool before deciding on Semifinal
-      try {
-        console.log(
-          "[buildNextRound] candidate pool length=",
-          pool.length,
-          "pool=",
-          pool.map((p) => p?.name)
-        );
-      } catch (e) {
-        console.log("[buildNextRound] debug pool log failed", e);
-      }
+function tiebreakChain() {
+  return state.tiebreaks || DEFAULT_TIEBREAKS;
+}
 
-      // Only create a Semifinal when we can select exactly 9 players.
-      // Using >= allowed premature creation; require === 9 to match rule.
-      if (pool.length === 9) {
-        // Prefer forming the Semifinal by taking 1st/2nd/3rd from each of
-        // the three previous matches when possible. This guarantees each
-        // semifinal match contains a 1st, 2nd and 3rd from the round before.
-        if (pool.length === 9) {
-          // Prefer forming the Semifinal by creating cross-group matches so
-          // players from the same previous match don't meet again. Given three
-          // previous matches A, B, C with placements [A1,A2,A3], [B1,B2,B3],
-          // [C1,C2,C3], produce semifinal matches:
-          //  - M1 = [A1, B2, C3]
-          //  - M2 = [A3, B1, C2]
-          //  - M3 = [A2, B3, C1]
-          if (prev.matches.length === 3) {
-            const [cmA, cmB, cmC] = cms;
-            if (
-              cmA.placements &&
-              cmB.placements &&
-              cmC.placements &&
-              cmA.placements.length >= 3 &&
-              cmB.placements.length >= 3 &&
-              cmC.placements.length >= 3
-            ) {
-              const m1 = [
-                cmA.placements[0],
-                cmB.placements[1],
-                cmC.placements[2],
-              ];
-              // Desired display order: M1 = A1 B2 C3, M2 = B1 C2 A3, M3 = C1 A2 B3
-              const m2 = [
-                cmB.placements[0],
-                cmC.placements[1],
-                cmA.placements[2],
-              ];
-              const m3 = [
-                cmC.placements[0],
-                cmA.placements[1],
-                cmB.placements[2],
-              ];
-              // Ensure none are BYE and all entries exist
-              if (
-                m1.every((p) => p && p.name !== "BYE") &&
-                m2.every((p) => p && p.name !== "BYE") &&
-                m3.every((p) => p && p.name !== "BYE")
-              ) {
-                const matches = [m1, m2, m3].map((g) => ({
-                  id: `m_${uid()}`,
-                  slots: g.map((p) => ({ participant: p })),
-                  isComplete: false,
-                }));
-                return {
-                  id: `r_${uid()}`,
-                  name: "Semifinal",
-                  matches,
-                  computed: false,
-                };
-              }
-            }
-          }
+/** Points a participant scored in a round (-1 when they didn't play). */
+function pointsInRound(round, participantId) {
+  for (const m of round.matches) {
+    const slot = m.slots.find((s) => s.participant?.id === participantId);
+    if (slot) return typeof slot.points === "number" ? slot.points : 0;
+  }
+  return -1;
+}
 
-          // Fallback: take the first 9 players from the pool and split into 3 groups
-          const selected = pool.slice(0, 9);
-          const groups = [];
-          for (let i = 0; i < 3; i++)
-            groups.push(selected.slice(i * 3, i * 3 + 3));
-          const matches = groups.map((g) => ({
-            id: `m_${uid()}`,
-            slots: g.map((p) => ({ participant: p })),
-            isComplete: false,
-          }));
-          return {
-            id: `r_${uid()}`,
-            name: "Semifinal",
-            matches,
-            computed: false,
-          };
-        }
-      }
-    }
+/** Compare two tied candidates with the chain; returns { result, rule }. */
+function breakTie(a, b, ctx) {
+  for (const id of tiebreakChain()) {
+    const rule = TIEBREAK_RULES[id];
+    const result = rule ? rule.compare(a, b, ctx) : 0;
+    if (result) return { result, rule: id };
   }
+  return { result: (a.p.id || "").localeCompare(b.p.id || ""), rule: "id" };
+}
 
-  // Special case: Semifinal-like format (three matches where each has at
-  // least two real players). This covers BYE-padded matches (e.g. 3 real + 1 BYE)
-  // We only create the Final Table here when taking the 3 winners + best
-  // second yields exactly 4 unique advancers. Otherwise fall back to normal
-  // advancer distribution.
-  const isSemifinalFormat =
-    prev.matches.length === 3 &&
-    prev.matches.every((m) => {
-      const realPlayers = m.slots.filter(
-        (s) => s.participant && s.participant.name !== "BYE"
-      );
-      // require at least two real players so a 'second' position exists
-      return realPlayers.length >= 2;
-    });
+/** True when a cut-line tie that `rule` would decide should go to a
+ * shoot-off instead: the chain has a shoot-off before `rule` and `ctx` is
+ * picking advancers.
+ */
+function shootOffNeeded(rule, ctx) {
+  const chain = tiebreakChain();
+  const at = chain.indexOf("shootOff");
+  if (!ctx.shootOffs || at < 0 || rule === "shootOff") return false;
+  return !chain.slice(0, at).includes(rule);
+}
 
-  if (isSemifinalFormat) {
-    // Ensure placements are computed for all matches
-    const cms = prev.matches.map((m) => computePlacements(m));
-    if (
-      !cms.every(
-        (cm) => cm.isComplete && cm.placements && cm.placements.length >= 2
-      )
-    ) {
-      // can't proceed if placements not available
-      return null;
-    }
+/** The shoot-off in `shootOffs` that includes every id in `ids`. */
+function findShootOff(shootOffs, ids) {
+  return (shootOffs || []).find((so) =>
+    ids.every((id) => so.slots.some((s) => s.participant?.id === id))
+  );
+}
 
-    const winners = cms.map((cm) => cm.placements[0]).filter(Boolean);
-    const seconds = cms
-      .map((cm, idx) => {
-        const second = cm.placements[1];
-        const pts =
-          prev.matches[idx].slots.find((s) => s.participant?.id === second?.id)
-            ?.points ?? 0;
-        return { p: second, points: pts };
-      })
-      .filter((x) => x.p);
+function createShootOff(tie) {
+  return {
+    id: uid(),
+    place: tie.place,
+    points: tie.points,
+    spots: tie.spots,
+    slots: tie.ids.map((id) => ({
+      participant: findParticipantById(id) || { id, name: id },
+      points: undefined,
+    })),
+  };
+}
 
-    // choose best second (points desc, then name)
-    seconds.sort(
-      (a, b) => b.points - a.points || a.p.name.localeCompare(b.p.name)
-    );
-    const bestSecond = seconds[0]?.p;
-    const advCandidates = [...winners];
-    if (bestSecond) advCandidates.push(bestSecond);
-
-    // de-duplicate by id and ensure we have exactly 4 advancers before treating
-    // this as the Final Table special case
-    const uniqueAdv = Array.from(
-      new Map(advCandidates.map((p) => [p.id, p])).values()
-    );
+function shootOffLabel(idx) {
+  return `Shoot-off ${idx + 1}`;
+}
 
-    if (uniqueAdv.length === 4) {
-      // Order finalists by the points they scored in the previous round (semifinal-like)
-      const pointsById = new Map();
-      prev.matches.forEach((m) => {
-        m.slots.forEach((s) => {
-          if (s.participant && typeof s.points === "number") {
-            pointsById.set(s.participant.id, s.points);
-          }
-        });
-      });
-      uniqueAdv.sort((a, b) => {
-        const pa = pointsById.get(a.id) ?? 0;
-        const pb = pointsById.get(b.id) ?? 0;
-        if (pb !== pa) return pb - pa;
-        return (a.name || "").localeCompare(b.name || "");
-      });
+function tiebreakLabel(rule) {
+  return TIEBREAK_RULES[rule]?.label || "participant id";
+}
 
-      const groups = chunk4(uniqueAdv);
-      const roundName = "Final Table";
-      const matches = groups.map((g) => ({
-        id: `m_${uid()}`,
-        slots: g.map((p) => ({ participant: p })),
-        isComplete: false,
-      }));
-      return { id: `r_${uid()}`, name: roundName, matches, computed: false };
-    }
-    // otherwise fall through to the normal advancer distribution logic
-  }
+/** Tiebreak context for a match: the round that holds it in the running
+ * tournament, or a fresh round after the existing ones.
+ */
+function placementContext(match) {
+  const idx = state.rounds.findIndex((r) => r.matches.includes(match));
+  const roundIndex = idx >= 0 ? idx : state.rounds.length;
+  return roundContext(roundIndex);
+}
 
-  // Distribute advancers preferring 4/5 sized matches when possible
-  let groups = distributeIntoGroups(advancers);
+function roundContext(roundIndex) {
+  return {
+    rounds: state.rounds,
+    roundIndex,
+    seedKey: state.rounds[roundIndex]?.id || "",
+  };
+}
 
-  // If any group has fewer than 4 real players, top-up with best third-placed players
-  let remainingThirds = [...thirds].sort(
-    (a, b) => b.points - a.points || a.p.name.localeCompare(b.p.name)
+function computePlacements(match, ctx = placementContext(match)) {
+  // Incomplete if any real participant lacks points (and a status)
+  const needs = match.slots.some(
+    (s) =>
+      s.participant &&
+      s.participant.name !== "BYE" &&
+      !s.status &&
+      typeof s.points !== "number"
   );
-  groups = groups.map((g) => {
-    if (g.length >= 4) return g;
-    const need = 4 - g.length;
-    const take = remainingThirds.splice(0, need).map((t) => t.p);
-    return [...g, ...take];
-  });
+  if (needs) return { ...match, isComplete: false };
 
-  const totalAdv = groups.reduce((s, g) => s + g.length, 0);
-  const isFinal = totalAdv === 4;
-  const roundName = isFinal ? "Final Table" : `Round ${roundIndex + 2}`;
-  const matches = groups.map((g) => ({
-    id: `m_${uid()}`,
-    slots: g.map((p) => ({ participant: p })),
-    isComplete: false,
-  }));
-  return { id: `r_${uid()}`, name: roundName, matches, computed: false };
+  const entries = match.slots
+    .filter((s) => s.participant)
+    .map((s) => ({
+      p: s.participant,
+      points: s.points ?? -Infinity,
+      out: Boolean(s.status),
+    }));
+  // Finishers first, then by points, then the tiebreak chain
+  const byPoints = (a, b) =>
+    a.out !== b.out
+      ? a.out - b.out
+      : a.points !== b.points
+      ? b.points - a.points
+      : breakTie(a, b, ctx).result;
+  entries.sort(byPoints);
+  // Record which rule separated each pair of adjacent equal scores.
+  const tiebreaks = [];
+  for (let i = 0; i + 1 < entries.length; i++) {
+    const [a, b] = [entries[i], entries[i + 1]];
+    if (a.points !== b.points || a.out || b.out) continue;
+    if (isBye(a.p) || isBye(b.p)) continue;
+    tiebreaks.push({
+      ids: [a.p.id, b.p.id],
+      points: a.points,
+      rule: breakTie(a, b, ctx).rule,
+    });
+  }
+  const placements = entries.map((e) => e.p);
+  return { ...match, placements, tiebreaks, isComplete: true };
 }
 
-// ====== UI ======
-const el = (sel) => document.querySelector(sel);
-const pCount = el("#pCount");
-const pList = el("#pList");
-const roundsContainer = el("#roundsContainer");
+/** Return the points recorded for a participant id in a specific match (or 0).
+ * This centralizes the lookup to avoid mismatches between placements and slot data.
+ */
+function getPointsInMatch(match, participantId) {
+  if (!match || !participantId) return 0;
+  const slot = match.slots.find((s) => s.participant?.id === participantId);
+  return slot && typeof slot.points === "number" ? slot.points : 0;
+}
 
-const btnLoad = el("#btnLoad");
-const btnUseSample = el("#btnUseSample");
-const btnSeed = el("#btnSeed");
-const btnCompute = el("#btnCompute");
-btnSeed.disabled = state.participants.length === 0 || state.rounds.length > 0;
-const hasRounds = state.rounds.length > 0;
-btnCompute.disabled = !hasRounds;
-// Disable "Next" when there are no rounds or the last round is the Final Table
-const lastRound = hasRounds ? state.rounds[state.rounds.length - 1] : null;
-const lastIsFinal = lastRound && lastRound.name === "Final Table";
-btnNext.disabled = !hasRounds || Boolean(lastIsFinal);
+// ====== Tournament formats ======
+// A format describes how each round is built from the one before it. The
+// engine below walks `stages` in order and uses the first stage whose `when`
+// matches the previous round and that can be built; a stage that can't be
+// built (wrong player count, no valid mixing) falls through to the next one
+// unless it has `onFail: "stop"`.
+//
+// Stage fields (all JSON):
+//   id, name          – "Round {n}" is replaced with the round number
+//   when              – { previous, notPrevious, matches, minRealPerMatch }
+//   advance           – selectors, in pool order:
+//                       { place, best?, rank?: "points" }
+//                       takes the `place`-th of every match; `best: N` keeps
+//                       only the N highest-scoring of them (wildcards, equal
+//                       points settled by the tiebreak chain)
+//   blockSize         – build each run of N adjacent previous matches on its own
+//   players           – exact number of advancers (per block) required
+//   poolOrder         – "match" lists advancers match by match instead of
+//                       selector by selector
+//   order             – "points": sort advancers by previous-round points
+//   groups            – { count } or { balanced: true } (4–5 per match)
+//   mixing            – "sequential" (default), "composition" (every match
+//                       gets an equal share of each selector and no two
+//                       players from the same previous match), or "rotate"
+//                       (Latin square: A1 B2 C3 / B1 C2 A3 / C1 A2 B3)
+//                       Whatever the mixing, same-selector players are then
+//                       swapped to avoid rematches (see Rematch avoidance)
+//   topUp             – { place, minSize }: fill small matches with the best
+//                       players of that place
+//   final / finalWhen – the stage (or any result with exactly N players) is
+//                       the last round, named `finalName`
+const KAPSEL_VM_FORMAT = {
+  id: "kapsel-vm",
+  name: "Kapsel VM",
+  // Round 1 is filled by hand: 6 matches, or one per section-"1" seed when
+  // there are at least that many.
+  firstRound: { name: "Round 1", groups: 6, groupsFromSection: "1" },
+  finalName: "Final Table",
+  stages: [
+    {
+      id: "final-from-semifinal",
+      name: "Final Table",
+      final: true,
+      when: { previous: "Semifinal" },
+      advance: [{ place: 1 }, { place: 2, best: 1 }],
+      players: 4,
+      order: "points",
+      groups: { count: 1 },
+      onFail: "stop",
+    },
+    {
+      id: "round2-from-six",
+      name: "Round {n}",
+      when: { previous: "Round 1", matches: 6 },
+      advance: [{ place: 1 }, { place: 2 }, { place: 3, best: 3 }],
+      players: 15,
+      groups: { count: 3 },
+      mixing: "composition",
+    },
+    {
+      id: "round2-from-pairs",
+      name: "Round {n}",
+      when: { previous: "Round 1" },
+      blockSize: 2,
+      advance: [{ place: 1 }, { place: 2 }, { place: 3, best: 1 }],
+      players: 5,
+      groups: { count: 1 },
+    },
+    {
+      id: "semifinal",
+      name: "Semifinal",
+      advance: [
+        { place: 1 },
+        { place: 2, rank: "points" },
+        { place: 3, rank: "points" },
+      ],
+      players: 9,
+      groups: { count: 3 },
+      mixing: "rotate",
+    },
+    {
+      id: "final-from-three",
+      name: "Final Table",
+      final: true,
+      when: { matches: 3, minRealPerMatch: 2 },
+      advance: [{ place: 1 }, { place: 2, best: 1 }],
+      players: 4,
+      order: "points",
+      groups: { count: 1 },
+    },
+    {
+      id: "knockout",
+      name: "Round {n}",
+      advance: [{ place: 1 }, { place: 2 }],
+      poolOrder: "match",
+      groups: { balanced: true },
+      topUp: { place: 3, minSize: 4 },
+      finalWhen: 4,
+    },
+  ],
+};
 
-function renderParticipants() {
-  pCount.textContent = String(state.participants.length);
-  pList.innerHTML = "";
-  const assigned = assignedInFirstRound();
-  state.participants.forEach((p) => {
-    // Don't show participants already assigned in the manual first round
-    if (assigned.has(p.id)) return;
-    const div = document.createElement("div");
-    div.className = "pill";
-    div.draggable = true;
-    div.dataset.participantId = p.id;
-    const img = document.createElement("img");
-    img.src = p.flagUrl || "";
-    img.alt = "";
-    div.appendChild(img);
-    const span = document.createElement("span");
-    span.textContent = p.name + (p.section ? ` (S:${p.section})` : "");
-    div.appendChild(span);
-    div.addEventListener("dragstart", (ev) => {
-      ev.dataTransfer.setData("text/plain", p.id);
-      ev.dataTransfer.effectAllowed = "move";
+const FORMAT_PRESETS = [KAPSEL_VM_FORMAT];
+const FORMAT_MIXINGS = ["sequential", "composition", "rotate"];
+
+/** The format of the running tournament (a custom one lives in state). */
+function activeFormat() {
+  return state.tournamentFormat || KAPSEL_VM_FORMAT;
+}
+
+function isFinalRound(round) {
+  return Boolean(round && (round.final || round.name === "Final Table"));
+}
+
+/** Check a format definition; returns a list of problems (empty = usable). */
+function validateFormat(format) {
+  const problems = [];
+  const bad = (path, msg) => problems.push(`${path}: ${msg}`);
+  const isPosInt = (v) => Number.isInteger(v) && v > 0;
+  if (!isPlainObject(format)) return ["format: expected a JSON object"];
+  if (typeof format.id !== "string" || !format.id)
+    bad("id", "must be a non-empty string");
+  if (typeof format.name !== "string" || !format.name)
+    bad("name", "must be a non-empty string");
+  const fr = format.firstRound;
+  if (!isPlainObject(fr) || typeof fr.name !== "string" || !isPosInt(fr.groups))
+    bad("firstRound", "needs a name and a positive number of groups");
+  if (!Array.isArray(format.stages) || !format.stages.length)
+    return problems.concat("stages: must be a non-empty list");
+
+  format.stages.forEach((st, i) => {
+    const path = `stages[${i}]`;
+    if (!isPlainObject(st)) return bad(path, "must be an object");
+    if (typeof st.name !== "string" || !st.name)
+      bad(`${path}.name`, "must be a non-empty string");
+    if (!Array.isArray(st.advance) || !st.advance.length)
+      bad(`${path}.advance`, "must be a non-empty list");
+    else
+      st.advance.forEach((sel, j) => {
+        if (!isPlainObject(sel) || !isPosInt(sel.place))
+          bad(`${path}.advance[${j}].place`, "must be a positive integer");
+        else if (sel.best !== undefined && !isPosInt(sel.best))
+          bad(`${path}.advance[${j}].best`, "must be a positive integer");
+      });
+    const g = st.groups;
+    if (!isPlainObject(g) || !(isPosInt(g.count) || g.balanced === true))
+      bad(`${path}.groups`, 'needs a positive "count" or "balanced": true');
+    if (st.mixing !== undefined && !FORMAT_MIXINGS.includes(st.mixing))
+      bad(`${path}.mixing`, `must be one of ${FORMAT_MIXINGS.join(", ")}`);
+    ["players", "blockSize", "finalWhen"].forEach((k) => {
+      if (st[k] !== undefined && !isPosInt(st[k]))
+        bad(`${path}.${k}`, "must be a positive integer");
     });
-    pList.appendChild(div);
+    if (
+      st.topUp !== undefined &&
+      !(
+        isPlainObject(st.topUp) &&
+        isPosInt(st.topUp.place) &&
+        isPosInt(st.topUp.minSize)
+      )
+    )
+      bad(`${path}.topUp`, "needs positive integer place and minSize");
+    if (st.onFail !== undefined && !["next", "stop"].includes(st.onFail))
+      bad(`${path}.onFail`, 'must be "next" or "stop"');
   });
-  // allow dropping back to the pool to unassign
-  pList.ondragover = (ev) => ev.preventDefault();
-  pList.ondrop = (ev) => {
-    ev.preventDefault();
-    const id = ev.dataTransfer.getData("text/plain");
-    if (!id) return;
-    // remove assignment from any slot in first round
-    if (state.rounds.length) {
-      const first = state.rounds[0];
-      first.matches.forEach((m) =>
-        m.slots.forEach((s) => {
-          if (s.participant?.id === id) {
-            s.participant = undefined;
-            s.points = undefined;
+  return problems;
+}
+
+function stageApplies(stage, prev) {
+  const w = stage.when || {};
+  if (w.previous !== undefined && prev.name !== w.previous) return false;
+  if (w.notPrevious !== undefined && prev.name === w.notPrevious) return false;
+  if (w.matches !== undefined && prev.matches.length !== w.matches)
+    return false;
+  if (
+    w.minRealPerMatch !== undefined &&
+    !prev.matches.every(
+      (m) =>
+        m.slots.filter((s) => s.participant && !isBye(s.participant)).length >=
+        w.minRealPerMatch
+    )
+  )
+    return false;
+  return true;
+}
+
+/** Order advancement candidates: points desc, then the tiebreak chain. */
+function compareCandidates(ctx) {
+  return (a, b) =>
+    b.points !== a.points ? b.points - a.points : breakTie(a, b, ctx).result;
+}
+
+/** Candidates for one selector: the `place`-th (non-BYE) of every entry.
+ * When a `best` cut falls between equal scores, the decision is pushed to
+ * `notes` as { place, points, ids, rule }.
+ */
+function selectPlace(sel, entries, ctx, notes) {
+  const tier = entries
+    .map(({ match, matchIdx, placements }) => {
+      const p = placements[sel.place - 1];
+      if (!p || isBye(p) || slotStatus(match, p.id)) return null;
+      const above = placements
+        .slice(0, sel.place - 1)
+        .reverse()
+        .map((q) => getPointsInMatch(match, q.id));
+      return { p, matchIdx, points: getPointsInMatch(match, p.id), above };
+    })
+    .filter(Boolean);
+  if (sel.best !== undefined || sel.rank === "points")
+    tier.sort(compareCandidates(ctx));
+  if (sel.best === undefined) return tier;
+  const [last, next] = [tier[sel.best - 1], tier[sel.best]];
+  if (!notes || !last || !next || last.points !== next.points)
+    return tier.slice(0, sel.best);
+  const { rule } = breakTie(last, next, ctx);
+  if (shootOffNeeded(rule, ctx)) {
+    // Everyone level with the cut that earlier rules can't separate plays.
+    const group = tier.filter(
+      (c) =>
+        c === last ||
+        (c.points === last.points &&
+          shootOffNeeded(breakTie(c, last, ctx).rule, ctx))
+    );
+    notes.push({
+      place: sel.place,
+      points: last.points,
+      ids: group.map((c) => c.p.id),
+      spots: group.filter((c) => tier.indexOf(c) < sel.best).length,
+      rule: "shootOff",
+      pending: true,
+    });
+  } else {
+    notes.push({
+      place: sel.place,
+      points: last.points,
+      ids: [last.p.id, next.p.id],
+      rule,
+    });
+  }
+  return tier.slice(0, sel.best);
+}
+
+/** Split `count` groups from `tiers` so each group gets the same number from
+ * every tier and never two players from the same previous match. Searches
+ * group by group in a fixed order, so the result is deterministic. Returns
+ * arrays of participants, or null when no such split exists.
+ */
+function composeGroups(tiers, count) {
+  if (tiers.some((t) => t.length % count)) return null;
+  const groups = Array.from({ length: count }, () => ({
+    players: [],
+    matches: new Set(),
+  }));
+
+  const solve = (t, g, remaining) => {
+    if (t === tiers.length) return true;
+    if (g === count)
+      return solve(
+        t + 1,
+        0,
+        (tiers[t + 1] || []).map((_, i) => i)
+      );
+    const quota = tiers[t].length / count;
+    const group = groups[g];
+    const pick = (start, chosen) => {
+      if (chosen.length === quota) {
+        chosen.forEach((i) => {
+          group.players.push(tiers[t][i].p);
+          group.matches.add(tiers[t][i].matchIdx);
+        });
+        const rest = remaining.filter((i) => !chosen.includes(i));
+        if (solve(t, g + 1, rest)) return true;
+        chosen.forEach((i) => {
+          group.players.pop();
+          group.matches.delete(tiers[t][i].matchIdx);
+        });
+        return false;
+      }
+      for (let k = start; k < remaining.length; k++) {
+        const c = tiers[t][remaining[k]];
+        if (group.matches.has(c.matchIdx)) continue;
+        if (chosen.some((i) => tiers[t][i].matchIdx === c.matchIdx)) continue;
+        chosen.push(remaining[k]);
+        if (pick(k + 1, chosen)) return true;
+        chosen.pop();
+      }
+      return false;
+    };
+    return pick(0, []);
+  };
+
+  return solve(
+    0,
+    0,
+    (tiers[0] || []).map((_, i) => i)
+  )
+    ? groups.map((g) => g.players)
+    : null;
+}
+
+/** Latin-square mixing: group g takes tier t's player from previous match
+ * (g + t) mod count. Needs every tier to hold one player per previous match.
+ */
+function rotateGroups(tiers, count, matchCount) {
+  if (matchCount !== count) return null;
+  const byMatch = tiers.map(
+    (tier) => new Map(tier.map((c) => [c.matchIdx, c]))
+  );
+  if (byMatch.some((m) => m.size !== count)) return null;
+  return Array.from({ length: count }, (_, g) =>
+    byMatch.map((m, t) => m.get((g + t) % count).p)
+  );
+}
+
+/** Split a list into `count` consecutive groups of near-equal size. */
+function splitSequential(players, count) {
+  const base = Math.floor(players.length / count);
+  const rem = players.length % count;
+  const groups = [];
+  let idx = 0;
+  for (let i = 0; i < count; i++) {
+    const size = base + (i < rem ? 1 : 0);
+    groups.push(players.slice(idx, idx + size));
+    idx += size;
+  }
+  return groups;
+}
+
+/** Build the groups one block of previous matches contributes, or null.
+ * Records each advancer's selector index in `tierOf` (id -> index).
+ */
+function buildStageBlock(stage, prev, entries, ctx, notes, tierOf) {
+  // A place left by a withdrawn player (DNS, DQ, …) goes to the best
+  // finisher of the places below who isn't advancing already; they join that
+  // place's tier so compositions stay balanced.
+  const whole = new Set(
+    stage.advance.filter((s) => s.best === undefined).map((s) => s.place)
+  );
+  const lastPlace = Math.max(0, ...entries.map((e) => e.placements.length));
+  const taken = new Set();
+  const free = (c) => !taken.has(c.p.id);
+  const tiers = stage.advance.map((sel) => {
+    let tier;
+    if (sel.best === undefined) {
+      tier = selectPlace(sel, entries, ctx, notes);
+      let owed = entries.filter(({ match, placements }) => {
+        const p = placements[sel.place - 1];
+        return p && slotStatus(match, p.id);
+      }).length;
+      for (let q = sel.place + 1; owed > 0 && q <= lastPlace; q++) {
+        if (whole.has(q)) continue;
+        const spare = selectPlace({ place: q, rank: "points" }, entries, ctx)
+          .filter(free)
+          .slice(0, owed);
+        owed -= spare.length;
+        spare.forEach((c) => taken.add(c.p.id));
+        tier = tier.concat(spare);
+      }
+    } else {
+      // Skip the players of this place already filling a freed spot
+      const skip = selectPlace({ place: sel.place }, entries, ctx).filter(
+        (c) => !free(c)
+      ).length;
+      tier = selectPlace(
+        { ...sel, best: sel.best + skip },
+        entries,
+        ctx,
+        notes
+      ).filter(free);
+    }
+    tier.forEach((c) => taken.add(c.p.id));
+    return tier;
+  });
+  let pool = tiers.flatMap((tier, t) => tier.map((c) => ({ ...c, t })));
+  pool.forEach((c) => {
+    if (!tierOf.has(c.p.id)) tierOf.set(c.p.id, c.t);
+  });
+  if (stage.poolOrder === "match")
+    pool.sort((a, b) => a.matchIdx - b.matchIdx || a.t - b.t);
+  const seen = new Set();
+  pool = pool.filter((c) => !seen.has(c.p.id) && seen.add(c.p.id));
+  if (stage.players !== undefined && pool.length !== stage.players) return null;
+
+  let players = pool.map((c) => c.p);
+  if (stage.order === "points") {
+    const pointsById = new Map();
+    prev.matches.forEach((m) =>
+      m.slots.forEach((s) => {
+        if (s.participant && typeof s.points === "number")
+          pointsById.set(s.participant.id, s.points);
+      })
+    );
+    players.sort(
+      (a, b) =>
+        (pointsById.get(b.id) ?? 0) - (pointsById.get(a.id) ?? 0) ||
+        (a.name || "").localeCompare(b.name || "")
+    );
+  }
+
+  if (stage.groups.balanced) return distributeIntoGroups(players);
+  const count = stage.groups.count;
+  if (stage.mixing === "composition") return composeGroups(tiers, count);
+  if (stage.mixing === "rotate") {
+    const rotated = rotateGroups(tiers, count, entries.length);
+    if (rotated) return rotated;
+  }
+  return splitSequential(players, count);
+}
+
+/** Try to build the next round with one stage; null when it doesn't fit. */
+function buildStage(stage, prev, entries, roundIndex, format, ctx) {
+  const notes = [];
+  const tierOf = new Map();
+  const size = stage.blockSize || entries.length;
+  let groups = [];
+  for (let i = 0; i < entries.length; i += size) {
+    const block = buildStageBlock(
+      stage,
+      prev,
+      entries.slice(i, i + size),
+      ctx,
+      notes,
+      tierOf
+    );
+    if (!block) return null;
+    groups = groups.concat(block);
+  }
+
+  if (stage.topUp) {
+    const placed = new Set(groups.flat().map((p) => p.id));
+    const spare = selectPlace(
+      { place: stage.topUp.place, rank: "points" },
+      entries,
+      ctx
+    ).filter((c) => !placed.has(c.p.id));
+    groups = groups.map((g) => {
+      if (g.length >= stage.topUp.minSize) return g;
+      const take = spare.splice(0, stage.topUp.minSize - g.length);
+      take.forEach((c) => tierOf.set(c.p.id, stage.advance.length));
+      return [...g, ...take.map((c) => c.p)];
+    });
+  }
+  const earlier = [...ctx.rounds.slice(0, roundIndex), prev];
+  groups = avoidRematches(groups, tierOf, meetingCounts(earlier));
+
+  const total = groups.reduce((s, g) => s + g.length, 0);
+  const isFinal = Boolean(stage.final) || total === stage.finalWhen;
+  const name = isFinal
+    ? format.finalName || stage.name
+    : stage.name.replace("{n}", String(roundIndex + 2));
+  const round = {
+    id: `r_${uid()}`,
+    name,
+    stage: stage.id,
+    matches: groups.map((g) => ({
+      id: `m_${uid()}`,
+      slots: g.map((p) => ({ participant: p })),
+      isComplete: false,
+      ...legsField(),
+    })),
+    computed: false,
+  };
+  if (isFinal) round.final = true;
+  if (notes.length) round.tiebreaks = notes;
+  return round;
+}
+
+// ====== Rematch avoidance ======
+// After a stage has formed its groups, players who advanced through the same
+// selector (e.g. two seconds) are swapped between groups while that lowers
+// the number of pairs who already shared a match anywhere in the tournament.
+// Swapping only like for like keeps group sizes and each group's make-up.
+
+function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/** How often each pair of real players shared a match in `rounds`. */
+function meetingCounts(rounds) {
+  const counts = new Map();
+  rounds.forEach((r) =>
+    r.matches.forEach((m) => {
+      const ids = m.slots
+        .map((s) => s.participant)
+        .filter((p) => p && !isBye(p))
+        .map((p) => p.id);
+      ids.forEach((a, i) =>
+        ids.slice(i + 1).forEach((b) => {
+          const key = pairKey(a, b);
+          counts.set(key, (counts.get(key) || 0) + 1);
+        })
+      );
+    })
+  );
+  return counts;
+}
+
+/** Earlier meetings among the players of one group. */
+function groupRepeats(players, meetings) {
+  let total = 0;
+  players.forEach((a, i) =>
+    players.slice(i + 1).forEach((b) => {
+      total += meetings.get(pairKey(a.id, b.id)) || 0;
+    })
+  );
+  return total;
+}
+
+/** Repeat meetings in `round` given the rounds played before it. */
+function countRepeats(round, earlier) {
+  const meetings = meetingCounts(earlier);
+  return round.matches.reduce(
+    (sum, m) =>
+      sum +
+      groupRepeats(
+        m.slots.map((s) => s.participant).filter((p) => p && !isBye(p)),
+        meetings
+      ),
+    0
+  );
+}
+
+/** Swap same-tier players between groups while repeats go down. */
+function avoidRematches(groups, tierOf, meetings) {
+  const out = groups.map((g) => g.slice());
+  let improved = true;
+  for (let pass = 0; improved && pass < 20; pass++) {
+    improved = false;
+    for (let a = 0; a < out.length; a++)
+      for (let b = a + 1; b < out.length; b++)
+        for (let i = 0; i < out[a].length; i++)
+          for (let j = 0; j < out[b].length; j++) {
+            if (tierOf.get(out[a][i].id) !== tierOf.get(out[b][j].id)) continue;
+            const ga = out[a].slice();
+            const gb = out[b].slice();
+            [ga[i], gb[j]] = [gb[j], ga[i]];
+            const before =
+              groupRepeats(out[a], meetings) + groupRepeats(out[b], meetings);
+            if (
+              groupRepeats(ga, meetings) + groupRepeats(gb, meetings) <
+              before
+            ) {
+              out[a] = ga;
+              out[b] = gb;
+              improved = true;
+            }
           }
+  }
+  return out;
+}
+
+/** Build the round after `prev` (the round at `roundIndex`) using the
+ * tournament format. Returns null while `prev` has unscored matches or when
+ * nobody can advance.
+ */
+function buildNextRound(prev, roundIndex, format = activeFormat()) {
+  const ctx = {
+    ...roundContext(roundIndex),
+    seedKey: prev.id,
+    shootOffs: prev.shootOffs || [],
+  };
+  const cms = prev.matches.map((m) => computePlacements(m, ctx));
+  if (!cms.every((cm) => cm.isComplete)) return null;
+  const entries = cms.map((cm, idx) => ({
+    match: prev.matches[idx],
+    matchIdx: idx,
+    placements: cm.placements,
+  }));
+  const anyAdvancer = entries.some((e) =>
+    e.placements
+      .slice(0, 2)
+      .some((p) => p && !isBye(p) && !slotStatus(e.match, p.id))
+  );
+  if (!anyAdvancer) return null;
+
+  for (const stage of format.stages) {
+    if (!stageApplies(stage, prev)) continue;
+    const round = buildStage(stage, prev, entries, roundIndex, format, ctx);
+    if (round) return round;
+    if (stage.onFail === "stop") return null;
+  }
+  return null;
+}
+
+// ====== Downstream rounds ======
+// Scores in a computed round stay editable after the next round is built.
+// These helpers notice when an edit changes who advances and rebuild the
+// later rounds from the corrected results.
+
+/** Apply an override's lineup change to `round` without recording it.
+ * Returns false when the change no longer fits the round, e.g. the player it
+ * replaced didn't advance this time.
+ */
+function overrideLineup(round, change) {
+  const match = round.matches[change.matchIdx];
+  const p = findParticipantById(change.id);
+  const inRound = roundParticipantIds(round);
+  if (!match || !p) return false;
+  if (change.type === "add") {
+    if (inRound.has(change.id)) return false;
+    match.slots.push({ participant: p });
+  } else if (change.type === "remove") {
+    if (!match.slots.some((s) => s.participant.id === change.id)) return false;
+    match.slots = match.slots.filter((s) => s.participant.id !== change.id);
+  } else {
+    const slot = match.slots.find(
+      (s) => s.participant.id === change.replacedId
+    );
+    if (!slot || inRound.has(change.id)) return false;
+    slot.participant = p;
+  }
+  return true;
+}
+
+function roundParticipantIds(round) {
+  return new Set(
+    round.matches.flatMap((m) =>
+      m.slots.filter((s) => s.participant).map((s) => s.participant.id)
+    )
+  );
+}
+
+/** Build round `rIdx` again from the current results of the round before it,
+ * with the seed and overrides `old` was built with. Returns null when that
+ * round no longer builds one; a round waiting on a shoot-off comes back
+ * with its pending tiebreaks and without the overrides.
+ */
+function rebuildRound(rIdx, old = state.rounds[rIdx]) {
+  const prev = state.rounds[rIdx - 1];
+  const round = seededStep(
+    () => buildNextRound(prev, rIdx - 1),
+    old.seed || old.id
+  );
+  if (!round || awaitsShootOff(round)) return round;
+  const kept = (old.overrides || []).filter((o) => overrideLineup(round, o));
+  if (kept.length) round.overrides = kept;
+  round.matches = round.matches.filter((m) => m.slots.length);
+  return round;
+}
+
+function awaitsShootOff(round) {
+  return (round.tiebreaks || []).some((t) => t.pending);
+}
+
+/** The first later round whose players no longer match the results of the
+ * round before it, as { index, gained, lost } (participant ids), or null
+ * when every round is in step. `shootOff` is set instead when the results
+ * now leave players level at an advancement cut.
+ */
+function staleRound() {
+  for (let rIdx = 1; rIdx < state.rounds.length; rIdx++) {
+    if (!state.rounds[rIdx - 1].computed) continue;
+    const had = roundParticipantIds(state.rounds[rIdx]);
+    const rebuilt = rebuildRound(rIdx);
+    if (rebuilt && awaitsShootOff(rebuilt))
+      return { index: rIdx, gained: [], lost: [], shootOff: true };
+    const now = rebuilt ? roundParticipantIds(rebuilt) : new Set();
+    const gained = [...now].filter((id) => !had.has(id));
+    const lost = [...had].filter((id) => !now.has(id));
+    if (gained.length || lost.length) return { index: rIdx, gained, lost };
+  }
+  return null;
+}
+
+/** Fit the results already entered in `was` to `round`, its rebuild.
+ * When the same number of players came in as went out, `was` keeps its
+ * lineup with each incoming player in an outgoing player's slot; matches
+ * that changed are cleared and the rest keep their scores. Otherwise the
+ * new draw is used and only a match with exactly the lineup of an old one
+ * keeps that match's scores.
+ */
+function carryResults(round, was) {
+  const before = roundParticipantIds(was);
+  const now = roundParticipantIds(round);
+  const lost = [...before].filter((id) => !now.has(id));
+  const gained = round.matches
+    .flatMap((m) => m.slots.map((s) => s.participant))
+    .filter((p) => p && !before.has(p.id));
+  if (lost.length === gained.length) {
+    const matches = was.matches.map((m) => {
+      const changed = m.slots.some((s) => lost.includes(s.participant?.id));
+      const slots = m.slots.map((s) => {
+        const i = lost.indexOf(s.participant?.id);
+        if (i >= 0) return { participant: gained[i] };
+        return changed ? { participant: s.participant } : { ...s };
+      });
+      return changed ? { ...m, slots, isComplete: false } : { ...m, slots };
+    });
+    const kept = { ...was, matches, overrides: round.overrides };
+    delete kept.tiebreaks;
+    delete kept.shootOffs;
+    if (!kept.overrides) delete kept.overrides;
+    if (round.tiebreaks) kept.tiebreaks = round.tiebreaks;
+    return kept;
+  }
+  const lineup = (m) =>
+    m.slots
+      .map((s) => s.participant?.id)
+      .sort()
+      .join();
+  round.matches.forEach((m) => {
+    const old = was.matches.find((o) => lineup(o) === lineup(m));
+    if (!old) return;
+    m.slots = m.slots.map((s) => ({
+      ...old.slots.find((o) => o.participant?.id === s.participant?.id),
+      participant: s.participant,
+    }));
+    if (old.legs) m.legs = old.legs;
+    else delete m.legs;
+  });
+  return round;
+}
+
+/** Replace round `from` and every round after it with rebuilt ones, keeping
+ * the results carryResults can. Rebuilding stops at the first round that is
+ * incomplete or can't be built; rounds after it are dropped with their
+ * scores. Returns { rebuilt, dropped } as round names.
+ */
+function rebuildRoundsFrom(from) {
+  const old = state.rounds.slice(from);
+  state.rounds = state.rounds.slice(0, from);
+  const rebuilt = [];
+  for (const [i, was] of old.entries()) {
+    const rIdx = from + i;
+    const prev = state.rounds[rIdx - 1];
+    if (!prev.computed) break;
+    const built = rebuildRound(rIdx, was);
+    if (!built || awaitsShootOff(built)) break;
+    const round = carryResults(built, was);
+    const here = roundParticipantIds(round);
+    const shootOffs = (was.shootOffs || []).filter((so) =>
+      so.slots.every((s) => here.has(s.participant.id))
+    );
+    if (shootOffs.length) round.shootOffs = shootOffs;
+    state.rounds.push(round);
+    round.computed =
+      Boolean(was.computed) &&
+      round.matches.every(
+        (m) => computePlacements(m, roundContext(rIdx)).isComplete
+      );
+    rebuilt.push(round.name);
+    if (!round.computed) break;
+  }
+  const dropped = old.slice(rebuilt.length).map((r) => r.name);
+  return { rebuilt, dropped };
+}
+
+// ====== Persistence ======
+// The whole tournament is saved to localStorage after every change so a
+// refresh or browser crash at the venue doesn't lose entered scores.
+const SAVE_KEY = "kapselvm.tournament";
+// Bump when the saved shape changes and add a step to SAVE_MIGRATIONS.
+const SAVE_FORMAT_VERSION = 2;
+const SAVE_DEBOUNCE_MS = 400;
+
+/** Upgrade steps keyed by the version they upgrade *from*. Version 0 is the
+ * legacy unversioned `{ participants, rounds }` shape.
+ */
+const SAVE_MIGRATIONS = {
+  0: (data) => ({ ...data, version: 1 }),
+  // v2 adds the random stream; older tournaments get a fresh seed.
+  1: (data) => ({ ...data, version: 2, seed: newSeed(), draws: 0 }),
+};
+
+let saveTimer = null;
+
+/** localStorage can be missing (sandboxed tests) or throw (private mode, quota). */
+function storageGet(key) {
+  try {
+    return typeof localStorage === "undefined"
+      ? null
+      : localStorage.getItem(key);
+  } catch (e) {
+    console.warn("[storage] read failed", e);
+    return null;
+  }
+}
+
+function storageSet(key, value) {
+  try {
+    if (typeof localStorage === "undefined") return false;
+    localStorage.setItem(key, value);
+    return true;
+  } catch (e) {
+    console.warn("[storage] write failed", e);
+    return false;
+  }
+}
+
+// Marker written into saves and tournament files so unrelated JSON is rejected.
+const SAVE_FORMAT_ID = "kapsel-vm-tournament";
+
+/** The tournament file for the current state (or a snapshot of one). */
+function serializeState(snapshot = snapshotOf(state)) {
+  return {
+    format: SAVE_FORMAT_ID,
+    version: SAVE_FORMAT_VERSION,
+    savedAt: new Date().toISOString(),
+    ...snapshot,
+  };
+}
+
+/** Run migrations until `data` is at SAVE_FORMAT_VERSION. Throws on saves
+ * written by a newer build, which we can't safely interpret.
+ */
+function migrateSaveData(data) {
+  let out = { ...data, version: Number(data.version) || 0 };
+  if (out.version > SAVE_FORMAT_VERSION) {
+    throw new Error(
+      `Save format v${out.version} is newer than this app (v${SAVE_FORMAT_VERSION}).`
+    );
+  }
+  while (out.version < SAVE_FORMAT_VERSION) {
+    const step = SAVE_MIGRATIONS[out.version];
+    if (!step) throw new Error(`No migration from save format v${out.version}`);
+    out = step(out);
+  }
+  return out;
+}
+
+/** Slots hold participant objects; after a JSON round-trip they are copies.
+ * Point them back at the entries in `state.participants` so edits stay shared.
+ */
+function relinkParticipants() {
+  const byId = new Map(state.participants.map((p) => [p.id, p]));
+  state.rounds.forEach((r) =>
+    [...r.matches, ...(r.shootOffs || [])].forEach((m) =>
+      m.slots.forEach((s) => {
+        const p = s.participant && byId.get(s.participant.id);
+        if (p) s.participant = p;
+      })
+    )
+  );
+}
+
+/** Check a (migrated) save for structural problems. Returns a list of
+ * human-readable messages, each prefixed with the path of the bad value;
+ * an empty list means the data can be loaded.
+ */
+function validateTournamentData(data) {
+  const problems = [];
+  const bad = (path, msg) => problems.push(`${path}: ${msg}`);
+
+  if (!isPlainObject(data)) return ["file: expected a JSON object"];
+  if (data.format !== undefined && data.format !== SAVE_FORMAT_ID)
+    bad(
+      "format",
+      `expected "${SAVE_FORMAT_ID}", got ${JSON.stringify(data.format)}`
+    );
+  if (!Array.isArray(data.participants)) bad("participants", "must be a list");
+  if (!Array.isArray(data.rounds)) bad("rounds", "must be a list");
+  if (data.tournamentFormat !== undefined && data.tournamentFormat !== null)
+    validateFormat(data.tournamentFormat).forEach((msg) =>
+      bad("tournamentFormat", msg)
+    );
+  if (data.tiebreaks !== undefined && data.tiebreaks !== null) {
+    if (!Array.isArray(data.tiebreaks)) bad("tiebreaks", "must be a list");
+    else
+      data.tiebreaks.forEach((id, i) => {
+        if (!TIEBREAK_RULES[id])
+          bad(`tiebreaks[${i}]`, `unknown rule ${JSON.stringify(id)}`);
+      });
+  }
+  if (
+    data.legs !== undefined &&
+    data.legs !== null &&
+    !isLegCount(data.legs, 2)
+  )
+    bad("legs", `must be a whole number from 2 to ${MAX_LEGS} when present`);
+  if (data.scoreRules !== undefined && data.scoreRules !== null)
+    validateScoreRules(data.scoreRules).forEach((msg) =>
+      bad("scoreRules", msg)
+    );
+  if (typeof data.seed !== "string" || !data.seed)
+    bad("seed", "must be a non-empty string");
+  if (!Number.isInteger(data.draws) || data.draws < 0)
+    bad("draws", "must be a whole number of at least 0");
+  if (problems.length) return problems;
+
+  const known = new Map();
+  data.participants.forEach((p, i) => {
+    const path = `participants[${i}]`;
+    if (!isPlainObject(p)) return bad(path, "must be an object");
+    if (typeof p.id !== "string" || !p.id)
+      bad(`${path}.id`, "must be a non-empty string");
+    else if (known.has(p.id)) bad(`${path}.id`, `duplicate id "${p.id}"`);
+    else known.set(p.id, p);
+    if (typeof p.name !== "string" || !p.name.trim())
+      bad(`${path}.name`, "must be a non-empty string");
+    if (p.flagUrl !== undefined && typeof p.flagUrl !== "string")
+      bad(`${path}.flagUrl`, "must be a string when present");
+    if (p.section !== undefined && typeof p.section !== "string")
+      bad(`${path}.section`, "must be a string when present");
+  });
+
+  data.rounds.forEach((r, rIdx) => {
+    const rPath = `rounds[${rIdx}]`;
+    if (!isPlainObject(r)) return bad(rPath, "must be an object");
+    if (typeof r.id !== "string" || !r.id)
+      bad(`${rPath}.id`, "must be a non-empty string");
+    if (typeof r.name !== "string" || !r.name)
+      bad(`${rPath}.name`, "must be a non-empty string");
+    if (typeof r.computed !== "boolean")
+      bad(`${rPath}.computed`, "must be true or false");
+    else if (!r.computed && rIdx < data.rounds.length - 1)
+      bad(`${rPath}.computed`, "only the last round may be uncomputed");
+    if (!Array.isArray(r.matches) || !r.matches.length)
+      return bad(`${rPath}.matches`, "must be a non-empty list");
+
+    const seenInRound = new Set();
+    r.matches.forEach((m, mIdx) => {
+      const mPath = `${rPath}.matches[${mIdx}]`;
+      if (!isPlainObject(m)) return bad(mPath, "must be an object");
+      if (typeof m.id !== "string" || !m.id)
+        bad(`${mPath}.id`, "must be a non-empty string");
+      if (m.isComplete !== undefined && typeof m.isComplete !== "boolean")
+        bad(`${mPath}.isComplete`, "must be true or false when present");
+      if (m.legs !== undefined && !isLegCount(m.legs, 1))
+        bad(`${mPath}.legs`, `must be a whole number from 1 to ${MAX_LEGS}`);
+      if (!Array.isArray(m.slots) || !m.slots.length)
+        return bad(`${mPath}.slots`, "must be a non-empty list");
+
+      m.slots.forEach((sl, sIdx) => {
+        const sPath = `${mPath}.slots[${sIdx}]`;
+        if (!isPlainObject(sl)) return bad(sPath, "must be an object");
+        const p = sl.participant;
+        if (
+          sl.points !== undefined &&
+          sl.points !== null &&
+          (typeof sl.points !== "number" || !Number.isFinite(sl.points))
+        )
+          bad(`${sPath}.points`, "must be a number when present");
+        if (sl.status !== undefined && !SLOT_STATUSES[sl.status])
+          bad(
+            `${sPath}.status`,
+            `must be one of ${Object.keys(SLOT_STATUSES).join(", ")}`
+          );
+        if (sl.legs !== undefined) {
+          if (
+            !Array.isArray(sl.legs) ||
+            sl.legs.length !== m.legs ||
+            sl.legs.some((v) => v !== null && !Number.isFinite(v))
+          )
+            bad(
+              `${sPath}.legs`,
+              "must list a number or null for each of the match's legs"
+            );
+          else if (
+            typeof sl.points === "number" &&
+            legTotal(sl, m.legs) !== sl.points
+          )
+            bad(`${sPath}.points`, "must be the sum of the slot's legs");
+        }
+        if (p === undefined || p === null) {
+          // Empty slots only exist while Round 1 is being filled by hand.
+          if (rIdx > 0 || r.computed) bad(`${sPath}.participant`, "is empty");
+          return;
+        }
+        if (!isPlainObject(p) || typeof p.id !== "string" || !p.id)
+          return bad(`${sPath}.participant`, "must be an object with an id");
+        if (isBye(p)) {
+          if (typeof sl.points === "number" && sl.points !== 0)
+            bad(`${sPath}.points`, "a BYE must have 0 points");
+          return;
+        }
+        if (!known.has(p.id))
+          bad(`${sPath}.participant`, `unknown participant id "${p.id}"`);
+        if (seenInRound.has(p.id))
+          bad(
+            `${sPath}.participant`,
+            `"${p.name || p.id}" appears twice in ${r.name}`
+          );
+        seenInRound.add(p.id);
+        if (r.computed && !sl.status && typeof sl.points !== "number")
+          bad(`${sPath}.points`, "missing in a computed round");
+      });
+    });
+
+    if (r.overrides !== undefined) {
+      if (!Array.isArray(r.overrides))
+        bad(`${rPath}.overrides`, "must be a list when present");
+      else
+        r.overrides.forEach((o, oIdx) => {
+          const oPath = `${rPath}.overrides[${oIdx}]`;
+          if (
+            !isPlainObject(o) ||
+            !["add", "remove", "replace"].includes(o.type)
+          )
+            bad(oPath, 'needs a type of "add", "remove" or "replace"');
+          else if (typeof o.reason !== "string" || !o.reason.trim())
+            bad(`${oPath}.reason`, "must be a non-empty string");
+        });
+    }
+    if (r.shootOffs === undefined) return;
+    if (!Array.isArray(r.shootOffs))
+      return bad(`${rPath}.shootOffs`, "must be a list when present");
+    r.shootOffs.forEach((so, soIdx) => {
+      const soPath = `${rPath}.shootOffs[${soIdx}]`;
+      if (!isPlainObject(so) || !Array.isArray(so.slots))
+        return bad(soPath, "must be an object with slots");
+      so.slots.forEach((sl, sIdx) => {
+        const id = sl?.participant?.id;
+        if (!known.has(id))
+          bad(
+            `${soPath}.slots[${sIdx}].participant`,
+            `unknown participant id "${id}"`
+          );
+      });
+    });
+  });
+
+  return problems;
+}
+
+/** Migrate, validate and load `data` into `state`. Throws an Error carrying a
+ * `problems` list when the data can't be used; `state` is left untouched then.
+ */
+function restoreState(data) {
+  if (!isPlainObject(data)) {
+    const err = new Error("Not a tournament file.");
+    err.problems = ["file: expected a JSON object"];
+    throw err;
+  }
+  const migrated = migrateSaveData(data);
+  const problems = validateTournamentData(migrated);
+  if (problems.length) {
+    const err = new Error(`Found ${problems.length} problem(s).`);
+    err.problems = problems;
+    throw err;
+  }
+  state.participants = migrated.participants;
+  state.rounds = migrated.rounds;
+  state.tournamentFormat = migrated.tournamentFormat || null;
+  state.tiebreaks = migrated.tiebreaks || null;
+  state.legs = migrated.legs || null;
+  state.scoreRules = migrated.scoreRules || null;
+  state.seed = migrated.seed;
+  state.draws = migrated.draws;
+  relinkParticipants();
+}
+
+function saveNow() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  storageSet(SAVE_KEY, JSON.stringify(serializeState()));
+}
+
+/** Call after every mutation of `state` with a short description of the
+ * action; it is recorded for undo and saved (debounced). Pass `coalesceKey`
+ * to fold repeated edits of the same thing (typing a score) into one step.
+ */
+function stateChanged(label, { coalesceKey } = {}) {
+  recordHistory(label, coalesceKey);
+  renderHistory();
+  syncPublish(label);
+  serverPublish(label);
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(saveNow, SAVE_DEBOUNCE_MS);
+}
+
+// ====== Undo / redo ======
+// Each entry stores a snapshot of the tournament *before* the action so
+// undoing is just restoring it. Snapshots are the JSON of participants and
+// rounds, which also breaks any shared references with live state.
+const HISTORY_LIMIT = 100;
+const undoHistory = { undo: [], redo: [], current: null };
+
+/** The parts of a tournament (state or a file) that undo and sync track. */
+function snapshotOf(data) {
+  return {
+    participants: data.participants,
+    rounds: data.rounds,
+    tournamentFormat: data.tournamentFormat || null,
+    tiebreaks: data.tiebreaks || null,
+    legs: data.legs || null,
+    scoreRules: data.scoreRules || null,
+    seed: data.seed,
+    draws: data.draws,
+  };
+}
+
+function snapshotState() {
+  return JSON.stringify(snapshotOf(state));
+}
+
+function applySnapshot(snapshot) {
+  const data = JSON.parse(snapshot);
+  state.participants = data.participants;
+  state.rounds = data.rounds;
+  state.tournamentFormat = data.tournamentFormat || null;
+  state.tiebreaks = data.tiebreaks || null;
+  state.legs = data.legs || null;
+  state.scoreRules = data.scoreRules || null;
+  state.seed = data.seed;
+  state.draws = data.draws;
+  relinkParticipants();
+}
+
+/** Start a fresh history with the current state as its base. */
+function resetHistory() {
+  undoHistory.undo = [];
+  undoHistory.redo = [];
+  undoHistory.current = snapshotState();
+}
+
+function recordHistory(label, coalesceKey) {
+  const snapshot = snapshotState();
+  if (undoHistory.current === null) undoHistory.current = snapshot;
+  if (snapshot === undoHistory.current) return;
+  const top = undoHistory.undo[undoHistory.undo.length - 1];
+  if (
+    coalesceKey &&
+    top &&
+    top.coalesceKey === coalesceKey &&
+    !undoHistory.redo.length
+  ) {
+    // Keep the older "before" snapshot; only the description moves on.
+    top.label = label;
+  } else {
+    undoHistory.undo.push({ label, coalesceKey, before: undoHistory.current });
+    if (undoHistory.undo.length > HISTORY_LIMIT) undoHistory.undo.shift();
+  }
+  undoHistory.redo = [];
+  undoHistory.current = snapshot;
+}
+
+function undo() {
+  const entry = undoHistory.undo.pop();
+  if (!entry) return;
+  undoHistory.redo.push({ label: entry.label, after: undoHistory.current });
+  applySnapshot(entry.before);
+  undoHistory.current = entry.before;
+  historyMoved(`Undo: ${entry.label}`);
+}
+
+function redo() {
+  const entry = undoHistory.redo.pop();
+  if (!entry) return;
+  undoHistory.undo.push({ label: entry.label, before: undoHistory.current });
+  applySnapshot(entry.after);
+  undoHistory.current = entry.after;
+  historyMoved(`Redo: ${entry.label}`);
+}
+
+function historyMoved(label) {
+  syncPublish(label);
+  serverPublish(label);
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(saveNow, SAVE_DEBOUNCE_MS);
+  renderParticipants();
+  renderRounds();
+}
+
+function loadSavedState() {
+  const raw = storageGet(SAVE_KEY);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    console.warn("[storage] ignoring unreadable save", e);
+    return null;
+  }
+}
+
+/** On startup, offer to resume a saved tournament that has any content. */
+function offerResume() {
+  const saved = loadSavedState();
+  if (!saved) return;
+  const pCountSaved = saved.participants?.length || 0;
+  const rCountSaved = saved.rounds?.length || 0;
+  if (!pCountSaved && !rCountSaved) return;
+  const when = saved.savedAt ? new Date(saved.savedAt).toLocaleString() : "";
+  const msg =
+    `Resume the saved tournament${when ? ` from ${when}` : ""}?\n` +
+    `${pCountSaved} participant(s), ${rCountSaved} round(s).\n\n` +
+    "Cancel starts empty; the save is replaced on the next change.";
+  if (!confirm(msg)) return;
+  try {
+    restoreState(saved);
+  } catch (e) {
+    console.error(e);
+    showProblemsDialog("Could not restore the saved tournament", e);
+  }
+}
+
+// ====== Live sync ======
+// Every window of the app on this origin (scoring, projector, a second
+// scorer) shares changes over a BroadcastChannel. A change carries its
+// revision and the revision it was made on. A change made on an older
+// revision than ours is merged match by match; a match scored differently
+// on both sides is a conflict the organiser settles. Windows also announce
+// which match they are scoring so others can show it.
+const SYNC_CHANNEL = "kapselvm.sync";
+const SYNC_KEEP_REVISIONS = 50;
+const SYNC_PRESENCE_MS = 60000;
+const TAB_ID = newSeed();
+const sync = {
+  channel: null,
+  rev: "",
+  counter: 0,
+  // rev -> snapshot, so a concurrent change can be merged against the
+  // revision it was made on
+  revisions: new Map(),
+  // tab id -> { match, at }: the match another window is scoring
+  peers: new Map(),
+  resolving: false,
+};
+
+/** Revisions are "<counter>.<tab id>"; later counters win, then tab ids. */
+function compareRevisions(a, b) {
+  const [na, ta] = [parseInt(a, 10) || 0, a.split(".")[1] || ""];
+  const [nb, tb] = [parseInt(b, 10) || 0, b.split(".")[1] || ""];
+  return na !== nb ? na - nb : ta < tb ? -1 : ta > tb ? 1 : 0;
+}
+
+function rememberRevision(rev, snapshot) {
+  sync.counter = Math.max(sync.counter, parseInt(rev, 10) || 0);
+  sync.revisions.set(rev, snapshot);
+  if (sync.revisions.size > SYNC_KEEP_REVISIONS)
+    sync.revisions.delete(sync.revisions.keys().next().value);
+}
+
+/** Key of every scored match and shoot-off in a snapshot, with its round. */
+function scoredMatches(data) {
+  const out = [];
+  (data.rounds || []).forEach((round) => {
+    round.matches.forEach((m, i) =>
+      out.push({ key: `${round.id}/${m.id}`, match: m, round, i })
+    );
+    (round.shootOffs || []).forEach((so, i) =>
+      out.push({ key: `${round.id}/${so.id}`, match: so, round, i, so: true })
+    );
+  });
+  return out;
+}
+
+const slotScores = (match) =>
+  JSON.stringify(
+    match.slots.map((s) => ({ ...s, participant: s.participant?.id ?? null }))
+  );
+const slotLineup = (match) =>
+  JSON.stringify(match.slots.map((s) => s.participant?.id ?? null));
+
+/** The tournament without scores: what Round Winners, Next Round, overrides
+ * and participant changes touch.
+ */
+function structureOf(data) {
+  return JSON.stringify(data, function (key, value) {
+    return key === "slots"
+      ? value.map((s) => s.participant?.id ?? null)
+      : value;
+  });
+}
+
+/** Three-way merge of tournament snapshots (parsed). Keeps whichever side
+ * changed the structure and brings over the other side's score edits.
+ * Returns { data, conflicts }; `data` is null when both sides changed the
+ * structure, and each conflict is { key, where, mine, theirs } for a match
+ * scored differently on both sides or reshaped on one and scored on the
+ * other (`reshaped`).
+ */
+function mergeSnapshots(base, mine, theirs) {
+  const [b, m, t] = [base, mine, theirs].map(structureOf);
+  if (m !== b && t !== b && m !== t) return { data: null, conflicts: [] };
+  const keepMine = m !== b && t === b;
+  const data = JSON.parse(JSON.stringify(keepMine ? mine : theirs));
+  const other = keepMine ? theirs : mine;
+  const index = (d) => new Map(scoredMatches(d).map((e) => [e.key, e.match]));
+  const [baseOf, otherOf, mineOf, theirsOf] = [base, other, mine, theirs].map(
+    index
+  );
+  const conflicts = [];
+  scoredMatches(data).forEach(({ key, match, round, i, so }) => {
+    const before = baseOf.get(key);
+    const edited = otherOf.get(key);
+    if (!edited || (before && slotScores(edited) === slotScores(before)))
+      return;
+    if (slotScores(edited) === slotScores(match)) return;
+    const where = `${round.name}, ${
+      so ? shootOffLabel(i) : `Match ${indexToLabel(i)}`
+    }`;
+    const reshaped = slotLineup(edited) !== slotLineup(match);
+    const untouched = before && slotScores(match) === slotScores(before);
+    if (untouched && !reshaped) {
+      match.slots = JSON.parse(JSON.stringify(edited.slots));
+      return;
+    }
+    conflicts.push({
+      key,
+      where,
+      reshaped,
+      mine: mineOf.get(key).slots,
+      theirs: theirsOf.get(key).slots,
+    });
+  });
+  return { data, conflicts };
+}
+
+/** Settle merge conflicts with one side's scores. Reshaped matches keep the
+ * new lineup whichever side is chosen.
+ */
+function resolveConflicts(data, conflicts, side) {
+  const byKey = new Map(scoredMatches(data).map((e) => [e.key, e.match]));
+  conflicts.forEach((c) => {
+    if (!c.reshaped)
+      byKey.get(c.key).slots = JSON.parse(JSON.stringify(c[side]));
+  });
+  return data;
+}
+
+/** Tell the other windows about the current state as a change on top of
+ * our revision.
+ */
+function syncPublish(label) {
+  if (!sync.channel || DISPLAY_MODE) return;
+  const snapshot = snapshotState();
+  if (snapshot === sync.revisions.get(sync.rev)) return;
+  const rev = `${sync.counter + 1}.${TAB_ID}`;
+  const parent = sync.rev;
+  rememberRevision(rev, snapshot);
+  sync.rev = rev;
+  sync.channel.postMessage({
+    type: "state",
+    from: TAB_ID,
+    rev,
+    parent,
+    label,
+    snapshot,
+  });
+}
+
+/** Announce the match this window is scoring (a key, or null). */
+function syncEditing(match) {
+  if (!sync.channel || DISPLAY_MODE) return;
+  sync.channel.postMessage({ type: "editing", from: TAB_ID, match });
+}
+
+/** Whether another window is scoring the match with this key right now. */
+function peerEditing(key) {
+  const now = Date.now();
+  return [...sync.peers.values()].some(
+    (p) => p.match === key && now - p.at < SYNC_PRESENCE_MS
+  );
+}
+
+function syncRender() {
+  if (DISPLAY_MODE) return showDisplay();
+  renderParticipants();
+  renderRounds();
+}
+
+function adoptRemote(snapshot, rev, label) {
+  applySnapshot(snapshot);
+  recordHistory(`${label} (other window)`);
+  rememberRevision(rev, snapshot);
+  sync.rev = rev;
+  syncRender();
+}
+
+/** Apply our state merged with `msg` and publish it on top of theirs. */
+function adoptMerge(msg, snapshot, label) {
+  rememberRevision(msg.rev, msg.snapshot);
+  sync.rev = msg.rev;
+  applySnapshot(snapshot);
+  recordHistory(label);
+  syncRender();
+  syncPublish(label);
+}
+
+function onSyncMessage(msg) {
+  if (!msg || msg.from === TAB_ID) return;
+  if (msg.type === "hello") {
+    // Bring a newly opened window up to date
+    if (!DISPLAY_MODE && sync.rev)
+      sync.channel.postMessage({
+        type: "state",
+        from: TAB_ID,
+        rev: sync.rev,
+        label: "Joined",
+        snapshot: sync.revisions.get(sync.rev),
+      });
+    return;
+  }
+  if (msg.type === "editing") {
+    if (msg.match)
+      sync.peers.set(msg.from, { match: msg.match, at: Date.now() });
+    else sync.peers.delete(msg.from);
+    if (!DISPLAY_MODE) renderRounds();
+    return;
+  }
+  if (msg.type !== "state" || msg.rev === sync.rev) return;
+  const mine = snapshotState();
+  if (msg.snapshot === mine) {
+    // Both sides got to the same state; agree on the later revision
+    if (compareRevisions(msg.rev, sync.rev) > 0) {
+      rememberRevision(msg.rev, mine);
+      sync.rev = msg.rev;
+    }
+    return;
+  }
+  if (msg.parent === sync.rev || !sync.rev || DISPLAY_MODE)
+    return adoptRemote(msg.snapshot, msg.rev, msg.label);
+  if (sync.resolving) return;
+  const base = sync.revisions.get(msg.parent);
+  const merged = base
+    ? mergeSnapshots(
+        JSON.parse(base),
+        JSON.parse(mine),
+        JSON.parse(msg.snapshot)
+      )
+    : { data: null, conflicts: [] };
+  if (merged.data && !merged.conflicts.length)
+    return adoptMerge(
+      msg,
+      JSON.stringify(merged.data),
+      `Merge with ${msg.label} (other window)`
+    );
+  showSyncConflict(msg, merged);
+}
+
+/** Let the organiser settle changes made at the same time in two windows. */
+function showSyncConflict(msg, { data, conflicts }) {
+  sync.resolving = true;
+  const { card, close } = createDialog("Changed in two windows at once");
+  const items = data
+    ? conflicts.map((c) =>
+        c.reshaped
+          ? `${c.where}: rebuilt in one window and scored in the other; the scores there are not kept.`
+          : `${c.where}: here ${describeScores(
+              c.mine
+            )} · other window ${describeScores(c.theirs)}`
+      )
+    : [
+        `Another window changed the tournament (${msg.label}) while this one had changes of its own.`,
+      ];
+  card.appendChild(reportList(items, "warn"));
+  const settle = (side) => {
+    sync.resolving = false;
+    close();
+    if (side === "theirs" && !data)
+      return adoptRemote(msg.snapshot, msg.rev, msg.label);
+    const snapshot = data
+      ? JSON.stringify(resolveConflicts(data, conflicts, side))
+      : snapshotState();
+    adoptMerge(
+      msg,
+      snapshot,
+      `Conflict settled (${side === "mine" ? "this" : "other"} window)`
+    );
+  };
+  dialogButton(card, "Keep this window's", () => settle("mine"));
+  dialogButton(card, "Use the other window's", () => settle("theirs"));
+}
+
+function describeScores(slots) {
+  return slots
+    .filter((s) => s.participant)
+    .map(
+      (s) =>
+        `${s.participant.name} ${
+          s.status || (typeof s.points === "number" ? s.points : "–")
+        }${s.legs ? ` (${describeLegs(s)})` : ""}`
+    )
+    .join(", ");
+}
+
+/** Join the other windows; they answer with the current state. */
+function startSync() {
+  if (typeof BroadcastChannel === "undefined") return;
+  sync.channel = new BroadcastChannel(SYNC_CHANNEL);
+  sync.channel.addEventListener("message", (ev) => onSyncMessage(ev.data));
+  sync.channel.postMessage({ type: "hello", from: TAB_ID });
+  window.addEventListener("pagehide", () => syncEditing(null));
+}
+
+// ====== Sync server ======
+// When the app is served by server.js, the server holds the tournament and
+// every device follows its event stream instead of the BroadcastChannel.
+// Clicking into a match claims it for this device; its scores then go to
+// the server match by match, and nobody else can score it until the claim
+// lapses. Other changes (Round Winners, Next Round, …) replace the whole
+// tournament and are merged with scores entered meanwhile.
+const server = {
+  on: false,
+  rev: 0,
+  // The server's tournament as last seen, as a snapshot
+  base: null,
+  // "round/match" -> { client, at }
+  claims: {},
+  // Requests go out one at a time so scores arrive in typing order
+  queue: Promise.resolve(),
+};
+
+/** Whether this page could have been served by the sync server. */
+function serverPossible() {
+  return (
+    typeof fetch === "function" &&
+    typeof location !== "undefined" &&
+    /^https?:$/.test(location.protocol)
+  );
+}
+
+async function serverRequest(method, resource, body) {
+  const res = await fetch(`api/${resource}`, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body && JSON.stringify({ client: TAB_ID, ...body }),
+    keepalive: method === "DELETE",
+  });
+  const json = await res.json().catch(() => ({}));
+  return { ok: res.ok, status: res.status, json };
+}
+
+/** Connect to the sync server if there is one. Resolves to false for a
+ * static host or a file:// page.
+ */
+async function connectServer() {
+  let first;
+  try {
+    first = await serverRequest("GET", "state");
+  } catch (e) {
+    return false;
+  }
+  if (!first.ok || typeof first.json.rev !== "number") return false;
+  server.on = true;
+  if (first.json.data) adoptServer(first.json);
+  else {
+    // A fresh server starts from this device's tournament
+    server.rev = first.json.rev;
+    if (state.participants.length || state.rounds.length)
+      serverPublish("Start on server");
+  }
+  const events = new EventSource("api/events");
+  events.addEventListener("message", (ev) => adoptServer(JSON.parse(ev.data)));
+  window.addEventListener("pagehide", () => {
+    const key = ownClaim();
+    if (key) serverRequest("DELETE", `claims/${key}`, {});
+  });
+  return true;
+}
+
+function ownClaim() {
+  return Object.keys(server.claims).find(
+    (key) => server.claims[key].client === TAB_ID
+  );
+}
+
+function claimedElsewhere(key) {
+  const claim = server.claims[key];
+  return Boolean(claim) && claim.client !== TAB_ID;
+}
+
+/** Take the server's tournament. The match this device has claimed keeps
+ * its local scores: only we can change it, and our latest keystrokes may
+ * still be on their way.
+ */
+function adoptServer({ rev, data, claims }) {
+  const claimsChanged =
+    JSON.stringify(claims || {}) !== JSON.stringify(server.claims);
+  server.claims = claims || {};
+  const mine = snapshotState();
+  if (data && rev !== server.rev) {
+    const own = scoredMatches(JSON.parse(mine)).find(
+      (e) => e.key === ownClaim()
+    );
+    try {
+      restoreState(data);
+    } catch (e) {
+      console.error("[server] ignoring an invalid tournament", e);
+      return;
+    }
+    server.rev = rev;
+    server.base = snapshotState();
+    const here = own && findMatchByKey(own.key);
+    if (here && slotLineup(here) === slotLineup(own.match))
+      here.slots.forEach((s, i) => Object.assign(s, own.match.slots[i]));
+    relinkParticipants();
+    recordHistory("Change on another device");
+  }
+  if (snapshotState() !== mine || claimsChanged) syncRender();
+}
+
+function findMatchByKey(key) {
+  const found = scoredMatches(state).find((e) => e.key === key);
+  return found ? found.match : null;
+}
+
+/** Send local changes to the server: scores of the matches that changed,
+ * or the whole tournament when more than scores changed.
+ */
+function serverPublish(label) {
+  if (!server.on || DISPLAY_MODE) return;
+  const now = snapshotState();
+  if (now === server.base) return;
+  const before = server.base && JSON.parse(server.base);
+  const after = JSON.parse(now);
+  if (before && structureOf(before) === structureOf(after)) {
+    const was = new Map(
+      scoredMatches(before).map((e) => [e.key, slotScores(e.match)])
+    );
+    scoredMatches(after)
+      .filter((e) => was.get(e.key) !== slotScores(e.match))
+      .forEach((e) => serverQueue(() => sendScores(e.key, e.match)));
+  } else serverQueue(() => sendState(label, before, after));
+  server.base = now;
+}
+
+function serverQueue(task) {
+  server.queue = server.queue.then(task).catch((e) => {
+    console.error("[server] request failed", e);
+  });
+}
+
+/** Claim a match for this device; false when another device has it. */
+async function serverClaim(key) {
+  if (!server.on || DISPLAY_MODE || server.claims[key]?.client === TAB_ID)
+    return true;
+  const res = await serverRequest("POST", `claims/${key}`, {});
+  if (res.json.claims) server.claims = res.json.claims;
+  if (!res.ok) {
+    alert(res.json.error || "Could not claim the match.");
+    renderRounds();
+  }
+  return res.ok;
+}
+
+async function sendScores(key, match) {
+  if (!(await serverClaim(key))) return reloadFromServer();
+  const slots = match.slots.map((s) => ({
+    ...s,
+    participant: s.participant?.id ?? null,
+  }));
+  const res = await serverRequest("POST", `scores/${key}`, { slots });
+  if (!res.ok) {
+    alert(`Scores not saved on the server: ${res.json.error}`);
+    reloadFromServer();
+  }
+}
+
+/** Drop local changes the server refused by taking its tournament again. */
+async function reloadFromServer() {
+  const res = await serverRequest("GET", "state");
+  if (!res.ok) return;
+  server.rev = -1;
+  adoptServer(res.json);
+}
+
+/** Replace the server's tournament with `mine`, a change made on `base`
+ * (the server's tournament as we knew it); both are parsed snapshots. If
+ * someone scored meanwhile, merge their scores in and try again.
+ */
+async function sendState(label, base, mine) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const res = await serverRequest("PUT", "state", {
+      base: server.rev,
+      data: serializeState(mine),
+    });
+    if (res.ok) {
+      server.rev = res.json.rev;
+      if (attempt) {
+        // Show the scores that were merged in
+        applySnapshot(JSON.stringify(mine));
+        server.base = snapshotState();
+        syncRender();
+      }
+      return;
+    }
+    if (res.status !== 409 || !res.json.data) {
+      // Refused outright, e.g. it changes a match claimed on another device
+      alert(`${label} was not saved on the server: ${res.json.error}`);
+      return reloadFromServer();
+    }
+    const theirs = JSON.parse(JSON.stringify(snapshotOf(res.json.data)));
+    const merged = base
+      ? mergeSnapshots(base, mine, theirs)
+      : { data: null, conflicts: [] };
+    if (!merged.data || merged.conflicts.length) {
+      alert(
+        `${label} was not saved on the server: the tournament changed on another device. Showing the server's version.`
+      );
+      return reloadFromServer();
+    }
+    server.rev = res.json.rev;
+    base = theirs;
+    mine = merged.data;
+  }
+}
+
+/** Follow the sync server when there is one, other windows otherwise. */
+function startLiveUpdates() {
+  if (!serverPossible()) return startSync();
+  connectServer().then((connected) => connected || startSync());
+}
+
+// ====== UI ======
+const el = (sel) => document.querySelector(sel);
+const pCount = el("#pCount");
+const pList = el("#pList");
+const roundsContainer = el("#roundsContainer");
+
+const btnLoad = el("#btnLoad");
+const btnSettings = el("#btnSettings");
+const settingsPanel = el("#settingsPanel");
+const sourceLabel = el("#sourceLabel");
+const sourceUrl = el("#sourceUrl");
+const sourceGid = el("#sourceGid");
+const sourceDrop = el("#sourceDrop");
+const sourceFile = el("#sourceFile");
+const btnExport = el("#btnExport");
+const btnImport = el("#btnImport");
+const fileImport = el("#fileImport");
+const btnSeed = el("#btnSeed");
+const btnAutoDraw = el("#btnAutoDraw");
+const btnCompute = el("#btnCompute");
+const btnUndo = el("#btnUndo");
+const btnRedo = el("#btnRedo");
+const historyCount = el("#historyCount");
+const historyList = el("#historyList");
+btnSeed.disabled = state.participants.length === 0 || state.rounds.length > 0;
+const hasRounds = state.rounds.length > 0;
+btnCompute.disabled = !hasRounds;
+// Disable "Next" when there are no rounds or the last round is the Final Table
+const lastRound = hasRounds ? state.rounds[state.rounds.length - 1] : null;
+const lastIsFinal = isFinalRound(lastRound);
+btnNext.disabled = !hasRounds || Boolean(lastIsFinal);
+
+function renderParticipants() {
+  pCount.textContent = String(state.participants.length);
+  pList.innerHTML = "";
+  const assigned = assignedInFirstRound();
+  state.participants.forEach((p) => {
+    // Don't show participants already assigned in the manual first round
+    if (assigned.has(p.id)) return;
+    const div = document.createElement("div");
+    div.className = "pill";
+    div.draggable = true;
+    div.dataset.participantId = p.id;
+    const img = document.createElement("img");
+    img.src = p.flagUrl || "";
+    img.alt = "";
+    div.appendChild(img);
+    const span = document.createElement("span");
+    span.textContent = p.name + (p.section ? ` (S:${p.section})` : "");
+    div.appendChild(span);
+    div.addEventListener("dragstart", (ev) => {
+      ev.dataTransfer.setData("text/plain", p.id);
+      ev.dataTransfer.effectAllowed = "move";
+    });
+    div.title = "Drag into a match, or click for the player's profile";
+    div.addEventListener("click", () => showPlayerProfile(p.id));
+    pList.appendChild(div);
+  });
+  // allow dropping back to the pool to unassign
+  pList.ondragover = (ev) => ev.preventDefault();
+  pList.ondrop = (ev) => {
+    ev.preventDefault();
+    const id = ev.dataTransfer.getData("text/plain");
+    if (!id) return;
+    // remove assignment from any slot in first round
+    if (state.rounds.length) {
+      const p = findParticipantById(id);
+      const first = state.rounds[0];
+      first.matches.forEach((m) =>
+        m.slots.forEach((s) => {
+          if (s.participant?.id === id) {
+            s.participant = undefined;
+            s.points = undefined;
+            delete s.status;
+          }
+        })
+      );
+      stateChanged(`Unassign ${p?.name || id}`);
+      renderParticipants();
+      renderRounds();
+    }
+  };
+}
+
+/** List undoable actions oldest-first, followed by undone (redoable) ones. */
+function renderHistory() {
+  historyCount.textContent = String(undoHistory.undo.length);
+  historyList.innerHTML = "";
+  const addItem = (label, cls) => {
+    const li = document.createElement("li");
+    li.className = cls;
+    li.textContent = label;
+    historyList.appendChild(li);
+  };
+  undoHistory.undo.forEach((h) => addItem(h.label, "done"));
+  undoHistory.redo
+    .slice()
+    .reverse()
+    .forEach((h) => addItem(h.label, "undone"));
+  btnUndo.disabled = !undoHistory.undo.length;
+  btnRedo.disabled = !undoHistory.redo.length;
+  btnUndo.title = undoHistory.undo.length
+    ? `Undo: ${undoHistory.undo[undoHistory.undo.length - 1].label} (Ctrl+Z)`
+    : "Nothing to undo";
+  btnRedo.title = undoHistory.redo.length
+    ? `Redo: ${
+        undoHistory.redo[undoHistory.redo.length - 1].label
+      } (Ctrl+Shift+Z)`
+    : "Nothing to redo";
+}
+
+/** One player row of a match card. Pass `onStatus` to offer the withdrawal
+ * statuses next to the points input, and `legs` ({ count, onChange }) to
+ * enter the score leg by leg; the points input then shows their sum.
+ * Scores are handed on as numbers, NaN for an empty field. `mark` flags the
+ * row's cells with the given violations (see scoreViolations).
+ */
+function slotRow(slot, onChange, onStatus, legs) {
+  const rules = scoreRules();
+  const scoreInput = (className) => {
+    const field = document.createElement("input");
+    field.type = "number";
+    field.className = className;
+    if (rules.min !== null) field.min = String(rules.min);
+    if (rules.max !== null) field.max = String(rules.max);
+    field.step = rules.integers ? "1" : "any";
+    return field;
+  };
+  const valueOf = (field) => (field.value === "" ? NaN : Number(field.value));
+
+  const wrap = document.createElement("div");
+  wrap.className = slot.status ? "slot withdrawn" : "slot";
+
+  const img = document.createElement("img");
+  img.className = "flag";
+  img.src = slot.participant?.flagUrl || "";
+  wrap.appendChild(img);
+
+  const name = document.createElement("span");
+  name.className = "name";
+  name.textContent = slot.participant?.name || "";
+  if (slot.participant && !isBye(slot.participant)) {
+    name.classList.add("profile-link");
+    name.title = "Show the player's profile";
+    name.addEventListener("click", () =>
+      showPlayerProfile(slot.participant.id)
+    );
+  }
+  wrap.appendChild(name);
+
+  const playing = Boolean(slot.participant) && !isBye(slot.participant);
+  const input = scoreInput(legs ? "points total" : "points");
+  const legInputs = [];
+  if (legs) {
+    wrap.classList.add("has-legs");
+    const grid = document.createElement("div");
+    grid.className = "legs";
+    for (let i = 0; i < legs.count; i++) {
+      const leg = scoreInput("points leg");
+      leg.title = `Leg ${i + 1}`;
+      const value = slot.legs?.[i];
+      if (typeof value === "number") leg.value = String(value);
+      leg.disabled = !playing;
+      leg.addEventListener("input", () => {
+        legs.onChange(i, valueOf(leg));
+        input.value =
+          typeof slot.points === "number" ? String(slot.points) : "";
+      });
+      grid.appendChild(leg);
+      legInputs.push(leg);
+    }
+    wrap.appendChild(grid);
+  }
+
+  if (typeof slot.points === "number") input.value = String(slot.points);
+  input.disabled = !playing;
+  if (legs) {
+    input.readOnly = true;
+    input.tabIndex = -1;
+    input.title = "Sum of the legs";
+  }
+  input.addEventListener("input", () => onChange(valueOf(input)));
+  wrap.appendChild(input);
+
+  let status = null;
+  if (onStatus && slot.participant && !isBye(slot.participant)) {
+    status = document.createElement("select");
+    status.className = "status";
+    status.title = slot.status ? SLOT_STATUSES[slot.status] : "Finished";
+    [["", "—"], ...Object.keys(SLOT_STATUSES).map((k) => [k, k])].forEach(
+      ([value, text]) => {
+        const opt = document.createElement("option");
+        opt.value = value;
+        opt.textContent = text;
+        opt.selected = (slot.status || "") === value;
+        status.appendChild(opt);
+      }
+    );
+    status.addEventListener("change", () => onStatus(status.value));
+    wrap.appendChild(status);
+  }
+
+  const mark = (violations) => {
+    const flagged = new Set(
+      violations.map((v) => (v.leg === undefined ? input : legInputs[v.leg]))
+    );
+    [input, ...legInputs].forEach((f) =>
+      f.classList.toggle("invalid", flagged.has(f))
+    );
+    wrap.title = violations.map((v) => v.message).join("\n");
+  };
+
+  return { wrap, input, status, legInputs, mark };
+}
+
+/** Flag the rule violations of `match` on its rows (slotRow results). A
+ * problem with the whole match is shown on every scored row.
+ */
+function markViolations(match, rows, options) {
+  const violations = scoreViolations(match, options);
+  rows.forEach((row, i) =>
+    row.mark(
+      violations.filter(
+        (v) =>
+          v.slot === i ||
+          (v.slot === null && typeof match.slots[i].points === "number")
+      )
+    )
+  );
+}
+
+function renderRounds() {
+  // Re-rendering replaces the inputs; keep the scorer's cursor where it was
+  const focused = document.activeElement?.dataset?.slot;
+  let refocus = null;
+  roundsContainer.innerHTML = "";
+  entryFields = [];
+  state.rounds.forEach((round, rIdx) => {
+    const roundEl = document.createElement("div");
+    roundEl.className = "round";
+    const h3 = document.createElement("h3");
+    h3.textContent = round.name;
+    roundEl.appendChild(h3);
+
+    const meta = document.createElement("div");
+    meta.className = "meta";
+    const stats =
+      rIdx > 0
+        ? `${round.matches.length} match(es) · ${countRepeats(
+            round,
+            state.rounds.slice(0, rIdx)
+          )} repeat meeting(s)`
+        : `${round.matches.length} match(es)`;
+    meta.textContent = stats;
+    if (round.seed) {
+      const replay = document.createElement("button");
+      replay.className = "replay";
+      replay.textContent = "Replay draw…";
+      replay.title = `Built from seed ${round.seed}`;
+      replay.addEventListener("click", () => showReplayDialog(rIdx));
+      meta.appendChild(replay);
+    }
+    roundEl.appendChild(meta);
+    // Wildcard spots that were decided between equal scores
+    (round.tiebreaks || []).forEach((t) => {
+      const [inId, outId] = t.ids;
+      roundEl.appendChild(
+        tieNote(
+          `Place ${t.place} cut at ${t.points} pts: ${participantName(
+            inId
+          )} in ahead of ${participantName(outId)} — ${tiebreakLabel(t.rule)}`
+        )
+      );
+    });
+    (round.overrides || []).forEach((o) =>
+      roundEl.appendChild(tieNote(`Override — ${describeOverride(o)}`))
+    );
+
+    // Create a grid container for matches so we can display them in columns
+    const matchesGrid = document.createElement("div");
+    matchesGrid.className = "matches-grid";
+    const advancerIds = advancingIds(round, rIdx);
+
+    round.matches.forEach((m, mIdx) => {
+      const matchEl = document.createElement("div");
+      matchEl.className = "match";
+      // add alphabetical label (Match A, B, C...)
+      const lbl = document.createElement("div");
+      lbl.className = "match-label";
+      lbl.textContent = indexToLabel(mIdx);
+      matchEl.appendChild(lbl);
+
+      const matchKey = `${round.id}/${m.id}`;
+      const busyElsewhere = claimedElsewhere(matchKey);
+      if (m.legs) matchEl.appendChild(legsHead(round, m, mIdx, busyElsewhere));
+
+      const rows = [];
+      const check = () => {
+        markViolations(m, rows);
+        matchEl.classList.toggle(
+          "complete",
+          matchIsComplete(m, roundContext(rIdx))
+        );
+      };
+
+      // 4 slots
+      m.slots.forEach((s, sIdx) => {
+        const where = `${round.name}, ${indexToLabel(mIdx)}`;
+        const row = slotRow(
+          s,
+          (val) => {
+            s.points = Number.isNaN(val) ? undefined : val;
+            check();
+            const shown = typeof s.points === "number" ? s.points : "–";
+            stateChanged(`${s.participant?.name}: ${shown} pts (${where})`, {
+              coalesceKey: `points:${round.id}:${m.id}:${sIdx}`,
+            });
+          },
+          (status) => {
+            if (status) s.status = status;
+            else delete s.status;
+            stateChanged(
+              `${s.participant?.name}: ${status || "finished"} (${where})`
+            );
+            renderRounds();
+          },
+          m.legs && {
+            count: m.legs,
+            onChange: (leg, val) => {
+              setLegScore(m, s, leg, val);
+              check();
+              const shown = s.legs?.[leg] ?? "–";
+              stateChanged(
+                `${s.participant?.name}: leg ${
+                  leg + 1
+                } ${shown} pts (${where})`,
+                { coalesceKey: `leg:${round.id}:${m.id}:${sIdx}:${leg}` }
+              );
+            },
+          }
+        );
+        rows.push(row);
+        const { wrap, input, status, legInputs } = row;
+        input.dataset.slot = `${round.id}/${m.id}/${sIdx}`;
+        legInputs.forEach((leg, i) => {
+          leg.dataset.slot = `${round.id}/${m.id}/${sIdx}/${i}`;
+        });
+        [input, ...legInputs].forEach((field) => {
+          if (field.dataset.slot === focused) refocus = field;
+          field.addEventListener("focus", () => {
+            syncEditing(matchKey);
+            serverClaim(matchKey);
+          });
+          field.addEventListener("blur", () => syncEditing(null));
+          // Rebuilding later rounds to check them is too slow per keystroke
+          if (rIdx < state.rounds.length - 1)
+            field.addEventListener("change", () => renderStaleNotice());
+          if (busyElsewhere) field.disabled = true;
+        });
+        if (busyElsewhere && status) status.disabled = true;
+        if (rIdx === state.rounds.length - 1)
+          registerEntry(legInputs.length ? legInputs : [input], s, m);
+        // If this is the manual first round, enable drag & drop on slots
+        if (rIdx === 0) {
+          wrap.dataset.matchIdx = mIdx;
+          wrap.dataset.slotIdx = sIdx;
+          wrap.classList.toggle("empty", !s.participant);
+          wrap.addEventListener("dragover", (ev) => ev.preventDefault());
+          wrap.addEventListener("drop", (ev) => {
+            ev.preventDefault();
+            const pid = ev.dataTransfer.getData("text/plain");
+            if (!pid) return;
+            const p = findParticipantById(pid);
+            if (!p) return;
+            if (!placeInFirstRound(p, mIdx, sIdx)) {
+              alert(
+                "Cannot place players from the same section in the same match for Round 1."
+              );
+              return;
+            }
+            renderParticipants();
+            renderRounds();
+          });
+          // Allow dragging a participant out of a slot to reassign/unassign.
+          // When a slot has a participant, make the slot itself draggable so the
+          // user can drag the name back to the participants pool or another slot.
+          if (s.participant) {
+            wrap.draggable = true;
+            wrap.addEventListener("dragstart", (ev) => {
+              try {
+                ev.dataTransfer.setData("text/plain", s.participant.id);
+                ev.dataTransfer.effectAllowed = "move";
+              } catch (e) {
+                // ignore
+              }
+            });
+            // When drag ends without a drop, leave assignment as-is. If dropped
+            // on the pool, the pool's drop handler will clear it.
+          } else {
+            wrap.draggable = false;
+          }
+        }
+        matchEl.appendChild(wrap);
+      });
+
+      // Highlight players who actually advance to the next round (if known)
+      if (advancerIds.size) {
+        Array.from(matchEl.querySelectorAll(".slot")).forEach((slotDiv, i) => {
+          const id = m.slots[i].participant?.id;
+          if (id && advancerIds.has(id)) slotDiv.classList.add("highlight");
+        });
+      }
+
+      if (peerEditing(matchKey) || busyElsewhere) {
+        matchEl.classList.add("remote-editing");
+        matchEl.appendChild(
+          tieNote(
+            busyElsewhere
+              ? "Being scored on another device"
+              : "Being scored in another window"
+          )
+        );
+      }
+
+      const cm = computePlacements(m, roundContext(rIdx));
+      (cm.tiebreaks || []).forEach((t) =>
+        matchEl.appendChild(
+          tieNote(
+            `Tie on ${t.points} pts: ${participantName(
+              t.ids[0]
+            )} ahead of ${participantName(t.ids[1])} — ${tiebreakLabel(t.rule)}`
+          )
+        )
+      );
+      check();
+
+      matchesGrid.appendChild(matchEl);
+    });
+    (round.shootOffs || []).forEach((so, soIdx) =>
+      matchesGrid.appendChild(shootOffEl(round, so, soIdx))
+    );
+    roundEl.appendChild(matchesGrid);
+    roundsContainer.appendChild(roundEl);
+  });
+  renderFirstRoundCheck();
+  renderStaleNotice();
+  if (bracket.shown) renderBracket();
+  refocus?.focus();
+
+  // Control buttons state
+  btnSeed.disabled = state.participants.length === 0 || state.rounds.length > 0;
+  btnAutoDraw.disabled =
+    state.participants.length === 0 ||
+    state.rounds.length > 1 ||
+    Boolean(state.rounds[0]?.computed);
+  const hasRounds = state.rounds.length > 0;
+  btnCompute.disabled = !hasRounds;
+  btnNext.disabled = !hasRounds;
+  renderHistory();
+}
+
+/** Column headings over a match's leg grid, with the leg count to adjust. */
+function legsHead(round, match, mIdx, locked) {
+  const head = document.createElement("div");
+  head.className = "legs-head";
+  const count = document.createElement("input");
+  count.type = "number";
+  count.className = "leg-count";
+  count.min = "1";
+  count.max = String(MAX_LEGS);
+  count.value = String(match.legs);
+  count.title = "Legs in this match";
+  count.disabled = locked;
+  count.addEventListener("change", () => {
+    const n = Number(count.value);
+    if (!isLegCount(n, 1) || n === match.legs) {
+      count.value = String(match.legs);
+      return;
+    }
+    setMatchLegs(match, n);
+    stateChanged(`${round.name}, ${indexToLabel(mIdx)}: ${n} legs`);
+    renderRounds();
+  });
+  const label = document.createElement("label");
+  label.className = "leg-label";
+  label.textContent = "Legs ";
+  label.appendChild(count);
+  const legs = document.createElement("div");
+  legs.className = "legs";
+  for (let i = 0; i < match.legs; i++) {
+    const n = document.createElement("span");
+    n.textContent = String(i + 1);
+    legs.appendChild(n);
+  }
+  const total = document.createElement("span");
+  total.textContent = "Total";
+  [label, legs, total].forEach((c) => head.appendChild(c));
+  return head;
+}
+
+/** Ids of the players in a computed round who advance to the next one. We
+ * build the candidate next round and take everyone who appears in it.
+ */
+function advancingIds(round, rIdx) {
+  const ids = new Set();
+  if (!round.computed) return ids;
+  try {
+    const next = buildNextRound(round, rIdx);
+    if (next && next.matches) {
+      next.matches.forEach((nm) =>
+        nm.slots.forEach((s) => {
+          if (s.participant && s.participant.id) ids.add(s.participant.id);
+        })
+      );
+      // Players waiting for a shoot-off haven't advanced yet
+      (next.tiebreaks || []).forEach((t) => {
+        if (t.pending) t.ids.forEach((id) => ids.delete(id));
+      });
+    }
+  } catch (e) {
+    // buildNextRound can return null or throw if placements missing; ignore
+  }
+  return ids;
+}
+
+/** A shoot-off mini-match: its players and a score input for each. */
+function shootOffEl(round, so, soIdx) {
+  const matchEl = document.createElement("div");
+  matchEl.className = "match shoot-off";
+  const lbl = document.createElement("div");
+  lbl.className = "match-label";
+  lbl.textContent = shootOffLabel(soIdx);
+  matchEl.appendChild(lbl);
+  const spots = so.spots === 1 ? "1 spot" : `${so.spots} spots`;
+  matchEl.appendChild(
+    tieNote(`Place ${so.place} level on ${so.points} pts, ${spots} left`)
+  );
+  const rows = [];
+  const check = () => {
+    markViolations(so, rows, { total: false });
+    matchEl.classList.toggle(
+      "complete",
+      matchIsComplete(so, undefined, { total: false })
+    );
+  };
+  so.slots.forEach((s, sIdx) => {
+    const row = slotRow(s, (val) => {
+      s.points = Number.isNaN(val) ? undefined : val;
+      check();
+      const shown = typeof s.points === "number" ? s.points : "–";
+      stateChanged(
+        `${s.participant?.name}: ${shown} pts (${round.name}, ${shootOffLabel(
+          soIdx
+        )})`,
+        { coalesceKey: `shootoff:${round.id}:${so.id}:${sIdx}` }
+      );
+    });
+    rows.push(row);
+    if (round === state.rounds[state.rounds.length - 1])
+      registerEntry([row.input], s, so, { total: false });
+    matchEl.appendChild(row.wrap);
+  });
+  check();
+  return matchEl;
+}
+
+/** Put `p` into Round 1 slot `sIdx` of match `mIdx`. When `p` already sits
+ * in another slot and the target is taken, the two players swap; a player
+ * coming from the pool sends the occupant back to the pool. Returns false,
+ * changing nothing, when the move would break the section rule.
+ */
+function placeInFirstRound(p, mIdx, sIdx) {
+  const first = state.rounds[0];
+  const targetMatch = first.matches[mIdx];
+  const target = targetMatch.slots[sIdx];
+  const fromMatch = first.matches.find((mm) =>
+    mm.slots.some((sl) => sl.participant?.id === p.id)
+  );
+  const from = fromMatch?.slots.find((sl) => sl.participant?.id === p.id);
+  if (from === target) return true;
+  const other = from ? target.participant : undefined;
+  const clashes = (match, player) =>
+    match.slots.some(
+      (sl) =>
+        sl !== from &&
+        sl !== target &&
+        sl.participant &&
+        sectionsClash(player, sl.participant)
+    );
+  if (clashes(targetMatch, p) || (other && clashes(fromMatch, other)))
+    return false;
+
+  if (from) {
+    from.participant = other;
+    from.points = undefined;
+    delete from.status;
+  }
+  target.participant = p;
+  target.points = undefined;
+  delete target.status;
+  stateChanged(
+    other
+      ? `Swap ${p.name} and ${other.name}`
+      : `Place ${p.name} in match ${indexToLabel(mIdx)}`
+  );
+  return true;
+}
+
+const firstRoundCheck = el("#firstRoundCheck");
+
+/** Live report on Round 1 while it is being filled; hidden once computed. */
+function renderFirstRoundCheck() {
+  const first = state.rounds[0];
+  firstRoundCheck.hidden = !first || first.computed;
+  if (firstRoundCheck.hidden) return;
+  const { errors, warnings } = validateFirstRound(first);
+  firstRoundCheck.innerHTML = "";
+  const h = document.createElement("h3");
+  h.textContent = errors.length
+    ? `${first.name}: ${errors.length} problem(s) to fix before Round Winners`
+    : `${first.name} is ready`;
+  firstRoundCheck.appendChild(h);
+  if (errors.length) firstRoundCheck.appendChild(reportList(errors, "error"));
+  if (warnings.length)
+    firstRoundCheck.appendChild(reportList(warnings, "warn"));
+}
+
+const staleNotice = el("#staleNotice");
+
+/** Warn when edited results no longer match the rounds built from them and
+ * offer to rebuild those rounds.
+ */
+function renderStaleNotice() {
+  const stale = staleRound();
+  staleNotice.hidden = !stale;
+  if (!stale) return;
+  const { index, gained, lost, shootOff } = stale;
+  const affected = state.rounds.slice(index).map((r) => r.name);
+  staleNotice.innerHTML = "";
+  const h = document.createElement("h3");
+  h.textContent = `Results in ${
+    state.rounds[index - 1].name
+  } changed who advances to ${state.rounds[index].name}`;
+  staleNotice.appendChild(h);
+  const lines = [];
+  if (gained.length)
+    lines.push(`Now advancing: ${gained.map(participantName).join(", ")}`);
+  if (lost.length)
+    lines.push(`No longer advancing: ${lost.map(participantName).join(", ")}`);
+  if (shootOff)
+    lines.push(
+      `Players are now level at an advancement cut; rebuild, then press Next Round for a shoot-off.`
+    );
+  lines.push(`Out of date: ${affected.join(", ")}`);
+  staleNotice.appendChild(reportList(lines, "warn"));
+  dialogButton(staleNotice, `Rebuild from ${state.rounds[index].name}…`, () =>
+    rebuildLaterRounds(index, affected)
+  );
+}
+
+function rebuildLaterRounds(index, affected) {
+  // Rebuild first so the question can say exactly what will be lost. The
+  // old rounds aren't modified, so cancelling just puts them back.
+  const before = state.rounds;
+  const { rebuilt, dropped } = rebuildRoundsFrom(index);
+  const lines = [
+    "Scores are kept in matches whose players are unchanged. A match that gains or loses a player keeps its lineup with the new player in the old player's place, and its scores are cleared.",
+  ];
+  if (dropped.length)
+    lines.push(
+      `${dropped.join(
+        ", "
+      )} will be removed with any scores entered there, until the rounds before are complete again.`
+    );
+  if (
+    !confirm(
+      `Rebuild ${affected.join(
+        ", "
+      )} from the corrected results?\n\n${lines.join("\n\n")}`
+    )
+  ) {
+    state.rounds = before;
+    return;
+  }
+  stateChanged(
+    `Rebuild: ${rebuilt.join(", ") || "–"}${
+      dropped.length ? ` (removed ${dropped.join(", ")})` : ""
+    }`
+  );
+  renderParticipants();
+  renderRounds();
+}
+
+function participantName(id) {
+  return findParticipantById(id)?.name || id;
+}
+
+function tieNote(text) {
+  const note = document.createElement("div");
+  note.className = "tie-note small";
+  note.textContent = text;
+  return note;
+}
+
+function computeCurrentRound() {
+  if (!state.rounds.length) return;
+  const r = state.rounds[state.rounds.length - 1];
+  let override = "";
+  if (state.rounds.length === 1) {
+    const { errors } = validateFirstRound(r);
+    if (
+      errors.length &&
+      !confirm(
+        `${r.name} has ${errors.length} problem(s):\n\n${errors
+          .map((e) => `• ${e}`)
+          .join("\n")}\n\nCompute the round anyway?`
+      )
+    )
+      return;
+    if (errors.length) override = ` (${errors.length} problem(s) overridden)`;
+  }
+  const problems = roundScoreProblems(r);
+  if (problems.length) {
+    alert(
+      `${r.name} can't be computed yet:\n\n${problems
+        .map((p) => `• ${p}`)
+        .join("\n")}`
+    );
+    return;
+  }
+  r.computed = true;
+  stateChanged(`Round Winners: ${r.name}${override}`);
+  renderRounds();
+
+  // If this is the final round, show the winner
+  const winner = tournamentWinner();
+  if (winner) showWinnerPopup(winner);
+}
+
+function buildNext() {
+  // One preview at a time, or the same round could be added twice
+  if (!state.rounds.length || roundPreview) return;
+  const prev = state.rounds[state.rounds.length - 1];
+  // If we're already at the final round, do not build further rounds
+  if (isFinalRound(prev)) {
+    alert(`Already at the ${prev.name}. No further rounds can be generated.`);
+    return;
+  }
+
+  if (!prev.computed) {
+    alert("Compute the current round first.");
+    return;
+  }
+  // The step's sub-seed is the stream's next draw, but the draw is only used
+  // up when the round is added: a cancelled preview or a shoot-off leaves
+  // the stream as saved, so the same steps give the same sub-seed.
+  const draws = state.draws;
+  const next = seededStep(() => buildNextRound(prev, state.rounds.length - 1));
+  state.draws = draws;
+  if (!next) {
+    alert("No advancers.");
+    return;
+  }
+  const pending = (next.tiebreaks || []).filter((t) => t.pending);
+  if (pending.length) {
+    const fresh = pending.filter((t) => !findShootOff(prev.shootOffs, t.ids));
+    if (fresh.length) {
+      if (!prev.shootOffs) prev.shootOffs = [];
+      fresh.forEach((t) => prev.shootOffs.push(createShootOff(t)));
+      stateChanged(
+        `Shoot-off: ${fresh
+          .map((t) => t.ids.map(participantName).join(" v "))
+          .join("; ")}`
+      );
+      renderRounds();
+    }
+    alert(
+      fresh.length
+        ? `Players are level at an advancement cut. Score the shoot-off in ${prev.name}, then press Next Round again.`
+        : `The shoot-off in ${prev.name} is unscored or still level. Enter scores that separate the players.`
+    );
+    return;
+  }
+  showRoundPreview(next);
+}
+
+// The open Next Round preview, if any: { overlay, card, close }.
+let roundPreview = null;
+
+/** Let the organiser check the generated round and override advancement
+ * before it is added; every override needs a reason.
+ */
+function showRoundPreview(next) {
+  const dialog = createDialog(`Next Round: ${next.name}`);
+  const { card } = dialog;
+  const close = () => {
+    roundPreview = null;
+    dialog.close();
+  };
+  roundPreview = { ...dialog, close };
+  const body = document.createElement("div");
+  card.appendChild(body);
+
+  const askReason = (what) => {
+    const reason = prompt(`Reason for this override?\n${what}`);
+    return reason && reason.trim();
+  };
+  const override = (change, what) => {
+    const reason = askReason(what);
+    if (!reason) return;
+    applyOverride(next, { ...change, reason });
+    render();
+  };
+  const outsiders = () => {
+    const inRound = new Set(
+      next.matches.flatMap((m) => m.slots.map((s) => s.participant.id))
+    );
+    return state.participants.filter((p) => !inRound.has(p.id));
+  };
+  const picker = (placeholder, onPick) => {
+    const select = document.createElement("select");
+    const none = document.createElement("option");
+    none.value = "";
+    none.textContent = placeholder;
+    select.appendChild(none);
+    outsiders().forEach((p) => {
+      const opt = document.createElement("option");
+      opt.value = p.id;
+      opt.textContent = p.name;
+      select.appendChild(opt);
+    });
+    select.addEventListener("change", () => {
+      const p = findParticipantById(select.value);
+      select.value = "";
+      if (p) onPick(p);
+    });
+    return select;
+  };
+
+  function render() {
+    body.innerHTML = "";
+    next.matches.forEach((m, mIdx) => {
+      const label = `Match ${indexToLabel(mIdx)}`;
+      const h = document.createElement("h3");
+      h.textContent = label;
+      body.appendChild(h);
+      m.slots.forEach((s) => {
+        const p = s.participant;
+        const row = document.createElement("div");
+        row.className = "preview-row";
+        const name = document.createElement("span");
+        name.textContent = p.name;
+        row.appendChild(name);
+        row.appendChild(
+          picker("Replace with…", (q) =>
+            override(
+              { type: "replace", matchIdx: mIdx, id: q.id, replacedId: p.id },
+              `${q.name} replaces ${p.name} in ${label}`
+            )
+          )
+        );
+        const remove = document.createElement("button");
+        remove.textContent = "✕";
+        remove.title = `Remove ${p.name}`;
+        remove.addEventListener("click", () =>
+          override(
+            { type: "remove", matchIdx: mIdx, id: p.id },
+            `Remove ${p.name} from ${label}`
+          )
+        );
+        row.appendChild(remove);
+        body.appendChild(row);
+      });
+      body.appendChild(
+        picker(`Add a player to ${label}…`, (q) =>
+          override(
+            { type: "add", matchIdx: mIdx, id: q.id },
+            `Add ${q.name} to ${label}`
+          )
+        )
+      );
+    });
+    if (next.overrides?.length)
+      body.appendChild(
+        reportList(next.overrides.map(describeOverride), "warn")
+      );
+  }
+
+  render();
+  dialogButton(card, "Create round", () => {
+    next.matches = next.matches.filter((m) => m.slots.length);
+    state.rounds.push(next);
+    state.draws++; // the draw next.seed came from (see buildNext)
+    const n = next.overrides?.length || 0;
+    stateChanged(`Next Round: ${next.name}${n ? ` (${n} override(s))` : ""}`);
+    renderRounds();
+    close();
+  });
+  dialogButton(card, "Cancel", close);
+}
+
+/** Apply one organiser override to a generated round and record it.
+ * `change` is { type: "add" | "remove" | "replace", matchIdx, id,
+ * replacedId?, reason }; ids are participant ids.
+ */
+function applyOverride(round, change) {
+  if (!overrideLineup(round, change)) return;
+  if (!round.overrides) round.overrides = [];
+  round.overrides.push({
+    ...change,
+    match: indexToLabel(change.matchIdx),
+    at: new Date().toISOString(),
+  });
+}
+
+function describeOverride(o) {
+  const who = participantName(o.id);
+  const what =
+    o.type === "add"
+      ? `Added ${who} to Match ${o.match}`
+      : o.type === "remove"
+      ? `Removed ${who} from Match ${o.match}`
+      : `${who} replaced ${participantName(o.replacedId)} in Match ${o.match}`;
+  return `${what}: ${o.reason}`;
+}
+
+/** The winner of the computed final, or null. */
+function tournamentWinner() {
+  const last = state.rounds[state.rounds.length - 1];
+  if (!isFinalRound(last) || !last.computed || !last.matches[0]) return null;
+  const cm = computePlacements(last.matches[0]);
+  const winner = cm.isComplete ? cm.placements[0] : null;
+  return winner && !isBye(winner) ? winner : null;
+}
+
+/** Show a simple modal congratulating the winner. The projector display
+ * passes `{ display: true }` for a full-screen card without the organiser's
+ * buttons.
+ */
+function showWinnerPopup(winner, { display = false } = {}) {
+  // Guard
+  if (!winner) return;
+  // Remove existing overlay if present
+  const existing = document.querySelector(".winner-overlay");
+  if (existing) existing.remove();
+
+  const overlay = document.createElement("div");
+  overlay.className = display ? "winner-overlay fullscreen" : "winner-overlay";
+
+  const card = document.createElement("div");
+  card.className = "winner-card";
+
+  if (winner.flagUrl) {
+    const img = document.createElement("img");
+    img.src = winner.flagUrl;
+    img.alt = `${winner.name} flag`;
+    card.appendChild(img);
+  }
+
+  const h = document.createElement("h2");
+  h.textContent = `Congratulations, ${winner.name}!`;
+  card.appendChild(h);
+
+  const desc = document.createElement("p");
+  desc.textContent = "You are the 2026 world champion of kapsel!";
+  card.appendChild(desc);
+
+  overlay.appendChild(card);
+  document.body.appendChild(overlay);
+  if (display) return;
+
+  const btn = document.createElement("button");
+  btn.textContent = "Close";
+  btn.addEventListener("click", () => overlay.remove());
+  card.appendChild(btn);
+
+  // Download CSV button: exports all rounds/matches/slots data
+  const btnDownload = document.createElement("button");
+  btnDownload.textContent = "Download Results";
+  btnDownload.addEventListener("click", () => {
+    try {
+      const csv = buildRoundsCsv();
+      const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `tournament-rounds-${Date.now()}.csv`;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Failed to build CSV", err);
+      alert("Failed to generate CSV. See console for details.");
+    }
+  });
+  card.appendChild(btnDownload);
+}
+
+// ====== Keyboard entry ======
+// Scores of the current round can be entered without the mouse: Tab and
+// Enter step through its score fields in match order (Shift goes back),
+// skipping BYEs, empty slots and withdrawn players. After the last field
+// focus moves to Round Winners. Alt+I jumps to the next match still
+// missing scores, Alt+W is Round Winners and Alt+N Next Round.
+let entryFields = []; // { field, match, options } in order, rebuilt per render
+
+/** Add the score fields of one slot to the entry order; `options` are the
+ * match's scoreViolations options.
+ */
+function registerEntry(fields, slot, match, options) {
+  fields.forEach((field) => {
+    if (field.disabled || slot.status) return;
+    entryFields.push({ field, match, options });
+    field.addEventListener("keydown", (ev) => {
+      if (ev.key !== "Tab" && ev.key !== "Enter") return;
+      if (ev.altKey || ev.ctrlKey || ev.metaKey) return;
+      if (stepEntry(field, ev.shiftKey ? -1 : 1)) ev.preventDefault();
+    });
+  });
+}
+
+/** Move focus `dir` fields on from `field`. False when there is nowhere to
+ * go, so Shift+Tab from the first field can leave the round as usual.
+ */
+function stepEntry(field, dir) {
+  const i = entryFields.findIndex((e) => e.field === field);
+  const next = entryFields[i + dir];
+  if (next) {
+    focusField(next.field);
+    return true;
+  }
+  if (dir < 0 || btnCompute.disabled) return false;
+  btnCompute.focus();
+  return true;
+}
+
+function focusField(field) {
+  field.focus();
+  field.select?.();
+}
+
+/** The first open field of the next incomplete match after the one holding
+ * `current` (wrapping round), or null when every match is complete.
+ */
+function nextIncompleteEntry(entries, current) {
+  const firsts = entries.filter(
+    (e, i) => i === 0 || entries[i - 1].match !== e.match
+  );
+  const at = firsts.findIndex(
+    (e) => e.match === entries.find((c) => c.field === current)?.match
+  );
+  const ordered = [...firsts.slice(at + 1), ...firsts.slice(0, at + 1)];
+  const open = ordered.find(
+    (e) => !matchIsComplete(e.match, undefined, e.options)
+  );
+  if (!open) return null;
+  const fields = entries.filter((e) => e.match === open.match);
+  return fields.find((e) => e.field.value === "") || fields[0];
+}
+
+function focusNextIncomplete() {
+  const next = nextIncompleteEntry(entryFields, document.activeElement);
+  if (next) focusField(next.field);
+  else if (!btnCompute.disabled) btnCompute.focus();
+}
+
+// ====== Bracket view ======
+// The rounds as columns of matches, with a line from each player's row to
+// their row in the next round. Lines are coloured by how the player got
+// through (see advanceKind); clicking a player highlights their path.
+const BRACKET = {
+  colWidth: 190,
+  colGap: 90,
+  top: 30,
+  matchHead: 20,
+  rowHeight: 22,
+  matchGap: 16,
+};
+const ADVANCE_KINDS = {
+  first: "1st",
+  second: "2nd",
+  third: "3rd",
+  "best-second": "Best 2nd",
+  "best-third": "Best 3rd",
+  other: "Other (override, top-up)",
+};
+const SVG_NS = "http://www.w3.org/2000/svg";
+const bracketView = el("#bracketView");
+const btnBracket = el("#btnBracket");
+// Not part of the tournament: which view is open and whose path is lit
+const bracket = { shown: false, player: null };
+
+/** How `participantId` got from `match` of round `rIdx` into the next
+ * round: a key of ADVANCE_KINDS. Wildcards are places taken with a `best`
+ * selector or as a top-up.
+ */
+function advanceKind(rIdx, match, participantId) {
+  const next = state.rounds[rIdx + 1];
+  if (
+    (next.overrides || []).some(
+      (o) => o.id === participantId && o.type !== "remove"
+    )
+  )
+    return "other";
+  const { placements = [] } = computePlacements(match, roundContext(rIdx));
+  const place = placements.findIndex((p) => p.id === participantId) + 1;
+  const stage = activeFormat().stages.find((st) => st.id === next.stage);
+  const sel = (stage?.advance || []).find((a) => a.place === place);
+  const wildcard = sel ? sel.best !== undefined : stage?.topUp?.place === place;
+  if (place === 1 && !wildcard) return "first";
+  if (place === 2) return wildcard ? "best-second" : "second";
+  if (place === 3) return wildcard ? "best-third" : "third";
+  return "other";
+}
+
+/** Positions of every match, player row and advancement line. */
+function bracketLayout() {
+  const B = BRACKET;
+  const rows = [];
+  const matches = [];
+  const columns = state.rounds.map((round, rIdx) => {
+    const x = rIdx * (B.colWidth + B.colGap);
+    let y = B.top;
+    round.matches.forEach((m, mIdx) => {
+      const players = m.slots.filter(
+        (s) => s.participant && !isBye(s.participant)
+      );
+      const height = B.matchHead + players.length * B.rowHeight;
+      matches.push({ x, y, height, label: indexToLabel(mIdx) });
+      players.forEach((s, i) =>
+        rows.push({
+          rIdx,
+          match: m,
+          x,
+          y: y + B.matchHead + i * B.rowHeight,
+          id: s.participant.id,
+          name: s.participant.name,
+          score: s.status || (typeof s.points === "number" ? s.points : ""),
         })
       );
-      renderParticipants();
-      renderRounds();
-    }
+      y += height + B.matchGap;
+    });
+    return { x, name: round.name, height: y };
+  });
+  const rowAt = new Map(rows.map((r) => [`${r.rIdx}/${r.id}`, r]));
+  const links = rows
+    .filter((r) => r.rIdx > 0 && rowAt.has(`${r.rIdx - 1}/${r.id}`))
+    .map((to) => {
+      const from = rowAt.get(`${to.rIdx - 1}/${to.id}`);
+      return {
+        id: to.id,
+        kind: advanceKind(from.rIdx, from.match, to.id),
+        from: { x: from.x + B.colWidth, y: from.y + B.rowHeight / 2 },
+        to: { x: to.x, y: to.y + B.rowHeight / 2 },
+      };
+    });
+  return {
+    width: Math.max(0, columns.length * (B.colWidth + B.colGap) - B.colGap),
+    height: Math.max(B.top, ...columns.map((c) => c.height)),
+    columns,
+    matches,
+    rows,
+    links,
   };
 }
 
-function slotRow(slot, onChange) {
-  const wrap = document.createElement("div");
-  wrap.className = "slot";
+function svgEl(tag, attrs = {}) {
+  const node = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([k, v]) => node.setAttribute(k, String(v)));
+  return node;
+}
 
-  const img = document.createElement("img");
-  img.className = "flag";
-  img.src = slot.participant?.flagUrl || "";
-  wrap.appendChild(img);
+function renderBracket() {
+  bracketView.innerHTML = "";
+  if (!state.rounds.length) {
+    bracketView.textContent = "No rounds yet.";
+    return;
+  }
+  const legend = document.createElement("div");
+  legend.className = "bracket-legend";
+  Object.entries(ADVANCE_KINDS).forEach(([kind, label]) => {
+    const item = document.createElement("span");
+    item.className = `adv-${kind}`;
+    item.textContent = label;
+    legend.appendChild(item);
+  });
+  bracketView.appendChild(legend);
 
-  const name = document.createElement("span");
-  name.className = "name";
-  name.textContent = slot.participant?.name || "";
-  wrap.appendChild(name);
+  const B = BRACKET;
+  const layout = bracketLayout();
+  const svg = svgEl("svg", {
+    class: bracket.player ? "bracket has-path" : "bracket",
+    width: layout.width,
+    height: layout.height,
+    viewBox: `0 0 ${layout.width} ${layout.height}`,
+  });
+  const onPath = (id) => (id === bracket.player ? " on-path" : "");
+  layout.columns.forEach((c) => {
+    const title = svgEl("text", { x: c.x, y: 16, class: "bracket-round" });
+    title.textContent = c.name;
+    svg.appendChild(title);
+  });
+  layout.matches.forEach((m) => {
+    svg.appendChild(
+      svgEl("rect", {
+        x: m.x,
+        y: m.y,
+        width: B.colWidth,
+        height: m.height,
+        rx: 8,
+        class: "bracket-match",
+      })
+    );
+    const label = svgEl("text", {
+      x: m.x + 8,
+      y: m.y + 14,
+      class: "bracket-label",
+    });
+    label.textContent = m.label;
+    svg.appendChild(label);
+  });
+  layout.links.forEach((l) => {
+    const mid = (l.from.x + l.to.x) / 2;
+    svg.appendChild(
+      svgEl("path", {
+        d: `M${l.from.x},${l.from.y} C${mid},${l.from.y} ${mid},${l.to.y} ${l.to.x},${l.to.y}`,
+        class: `bracket-link adv-${l.kind}${onPath(l.id)}`,
+      })
+    );
+  });
+  layout.rows.forEach((r) => {
+    const row = svgEl("g", { class: `bracket-player${onPath(r.id)}` });
+    row.appendChild(
+      svgEl("rect", {
+        x: r.x + 2,
+        y: r.y,
+        width: B.colWidth - 4,
+        height: B.rowHeight,
+        rx: 4,
+      })
+    );
+    const name = svgEl("text", { x: r.x + 8, y: r.y + 15 });
+    name.textContent = r.name;
+    row.appendChild(name);
+    const score = svgEl("text", {
+      x: r.x + B.colWidth - 8,
+      y: r.y + 15,
+      class: "bracket-score",
+    });
+    score.textContent = String(r.score);
+    row.appendChild(score);
+    row.addEventListener("click", (ev) => {
+      ev.stopPropagation();
+      bracket.player = bracket.player === r.id ? null : r.id;
+      renderBracket();
+    });
+    svg.appendChild(row);
+  });
+  svg.addEventListener("click", () => {
+    bracket.player = null;
+    renderBracket();
+  });
+  bracketView.appendChild(svg);
+}
 
-  const input = document.createElement("input");
-  input.type = "number";
-  input.className = "points";
-  input.min = "0";
-  input.step = "1";
-  if (typeof slot.points === "number") input.value = String(slot.points);
-  input.disabled = !slot.participant || slot.participant?.name === "BYE";
-  input.addEventListener("input", () => onChange(Number(input.value)));
-  wrap.appendChild(input);
+function toggleBracket() {
+  bracket.shown = !bracket.shown;
+  bracketView.hidden = !bracket.shown;
+  roundsContainer.hidden = bracket.shown;
+  btnBracket.textContent = bracket.shown ? "Match cards" : "Bracket view";
+  if (bracket.shown) renderBracket();
+}
 
-  return { wrap, input };
+// ====== Player profile ======
+// Everything one player did in the tournament, read from state.rounds:
+// opened from a participant pill or a player's name in any match.
+
+/** "1st", "2nd", "3rd", "4th", … */
+function ordinal(n) {
+  const tens = n % 100;
+  const suffix =
+    tens >= 11 && tens <= 13 ? "th" : { 1: "st", 2: "nd", 3: "rd" }[n % 10];
+  return `${n}${suffix || "th"}`;
 }
 
-function renderRounds() {
-  roundsContainer.innerHTML = "";
-  state.rounds.forEach((round, rIdx) => {
-    const roundEl = document.createElement("div");
-    roundEl.className = "round";
-    const h3 = document.createElement("h3");
-    h3.textContent = round.name;
-    roundEl.appendChild(h3);
+/** Country code from a flag file name like ".../gb.svg", or "". */
+function countryOf(p) {
+  return countryKey(p?.flagUrl).toUpperCase();
+}
 
-    const meta = document.createElement("div");
-    meta.className = "meta";
-    const stats = `${round.matches.length} match(es)`;
-    meta.textContent = stats;
-    roundEl.appendChild(meta);
+/** What became of a player after round `rIdx`, as text. */
+function roundOutcome(rIdx, match, slot) {
+  const round = state.rounds[rIdx];
+  const next = state.rounds[rIdx + 1];
+  const id = slot.participant.id;
+  if (!round.computed) return "Round in progress";
+  if (next) {
+    if (!roundParticipantIds(next).has(id))
+      return slot.status ? `Out (${slot.status})` : "Eliminated";
+    const kind = advanceKind(rIdx, match, id);
+    return kind === "other"
+      ? "Advanced"
+      : `Advanced as ${ADVANCE_KINDS[kind].toLowerCase()}`;
+  }
+  if (isFinalRound(round)) {
+    const { placements = [] } = computePlacements(match, roundContext(rIdx));
+    const place = placements.findIndex((p) => p.id === id) + 1;
+    return place === 1 ? "Champion" : `Finished ${ordinal(place)}`;
+  }
+  const shootOff = (round.shootOffs || []).find(
+    (so) =>
+      so.slots.some((s) => s.participant.id === id) &&
+      !computePlacements(so).isComplete
+  );
+  if (shootOff) return "Waiting for a shoot-off";
+  return advancingIds(round, rIdx).has(id) ? "Advances" : "Eliminated";
+}
 
-    // Create a grid container for matches so we can display them in columns
-    const matchesGrid = document.createElement("div");
-    matchesGrid.className = "matches-grid";
+/** One entry per round the player took part in, with running totals. */
+function playerPath(participantId) {
+  let total = 0;
+  const path = [];
+  state.rounds.forEach((round, rIdx) => {
+    const mIdx = round.matches.findIndex((m) =>
+      m.slots.some((s) => s.participant?.id === participantId)
+    );
+    if (mIdx < 0) return;
+    const match = round.matches[mIdx];
+    const slot = match.slots.find((s) => s.participant?.id === participantId);
+    const scoreOf = (s) =>
+      s.status || (typeof s.points === "number" ? s.points : null);
+    const { placements } = computePlacements(match, roundContext(rIdx));
+    const place = placements
+      ? placements.findIndex((p) => p.id === participantId) + 1
+      : null;
+    if (typeof slot.points === "number") total += slot.points;
+    const shootOff = (round.shootOffs || [])
+      .flatMap((so) => so.slots)
+      .find((s) => s.participant.id === participantId);
+    path.push({
+      round: round.name,
+      match: indexToLabel(mIdx),
+      opponents: match.slots
+        .filter(
+          (s) =>
+            s.participant &&
+            !isBye(s.participant) &&
+            s.participant.id !== participantId
+        )
+        .map((s) => ({ name: s.participant.name, score: scoreOf(s) })),
+      score: scoreOf(slot),
+      legs: slot.legs ? describeLegs(slot) : "",
+      place,
+      of: match.slots.filter((s) => s.participant && !isBye(s.participant))
+        .length,
+      shootOff: shootOff ? scoreOf(shootOff) : undefined,
+      outcome: roundOutcome(rIdx, match, slot),
+      total,
+    });
+  });
+  return path;
+}
 
-    round.matches.forEach((m, mIdx) => {
-      const matchEl = document.createElement("div");
-      matchEl.className = "match";
-      // add alphabetical label (Match A, B, C...)
-      const lbl = document.createElement("div");
-      lbl.className = "match-label";
-      lbl.textContent = indexToLabel(mIdx);
-      matchEl.appendChild(lbl);
+function showPlayerProfile(participantId) {
+  const p = findParticipantById(participantId);
+  if (!p) return;
+  const { card, close } = createDialog(p.name, "report-card profile-card");
+  const path = playerPath(participantId);
 
-      const updated = () => {
-        // Normalize empty -> undefined
-        m.slots.forEach((s) => {
-          if (typeof s.points === "number" && Number.isNaN(s.points))
-            s.points = undefined;
-        });
-      };
+  const meta = document.createElement("p");
+  meta.className = "profile-meta";
+  if (p.flagUrl) {
+    const img = document.createElement("img");
+    img.src = p.flagUrl;
+    img.alt = "";
+    meta.appendChild(img);
+  }
+  const facts = [
+    countryOf(p) && `Country ${countryOf(p)}`,
+    p.section && `Section ${p.section}`,
+    path.length
+      ? `${path.length} round(s), ${path[path.length - 1].total} pts in total`
+      : "Not drawn into a round yet",
+    path.length && path[path.length - 1].outcome,
+  ].filter(Boolean);
+  const text = document.createElement("span");
+  text.textContent = facts.join(" · ");
+  meta.appendChild(text);
+  card.appendChild(meta);
 
-      // 4 slots
-      m.slots.forEach((s, sIdx) => {
-        const { wrap } = slotRow(s, (val) => {
-          s.points = Number.isNaN(val) ? undefined : val;
-          updated();
-        });
-        // If this is the manual first round, enable drag & drop on slots
-        if (rIdx === 0) {
-          wrap.dataset.matchIdx = mIdx;
-          wrap.dataset.slotIdx = sIdx;
-          wrap.classList.toggle("empty", !s.participant);
-          wrap.addEventListener("dragover", (ev) => ev.preventDefault());
-          wrap.addEventListener("drop", (ev) => {
-            ev.preventDefault();
-            const pid = ev.dataTransfer.getData("text/plain");
-            if (!pid) return;
-            const p = findParticipantById(pid);
-            if (!p) return;
-            // remove participant from any previous slot in first round first
-            const first = state.rounds[0];
-            first.matches.forEach((mm) =>
-              mm.slots.forEach((sl) => {
-                if (sl.participant?.id === pid) {
-                  sl.participant = undefined;
-                  sl.points = undefined;
-                }
-              })
-            );
-            // enforce section constraint: players with same section can't be in same match
-            const existingSections = m.slots
-              .map((sl) =>
-                sl.participant?.section
-                  ? String(sl.participant.section).trim()
-                  : null
-              )
-              .filter(Boolean);
-            // Allow duplicates for section '4' (lowest-seed group) if needed.
-            const pSec = p.section ? String(p.section).trim() : null;
-            if (pSec && pSec !== "4" && existingSections.includes(pSec)) {
-              alert(
-                "Cannot place players from the same section in the same match for Round 1."
-              );
-              return;
-            }
-            // assign to this slot
-            m.slots[sIdx].participant = p;
-            m.slots[sIdx].points = undefined;
-            renderParticipants();
-            renderRounds();
-          });
-          // Allow dragging a participant out of a slot to reassign/unassign.
-          // When a slot has a participant, make the slot itself draggable so the
-          // user can drag the name back to the participants pool or another slot.
-          if (s.participant) {
-            wrap.draggable = true;
-            wrap.addEventListener("dragstart", (ev) => {
-              try {
-                ev.dataTransfer.setData("text/plain", s.participant.id);
-                ev.dataTransfer.effectAllowed = "move";
-              } catch (e) {
-                // ignore
-              }
-            });
-            // When drag ends without a drop, leave assignment as-is. If dropped
-            // on the pool, the pool's drop handler will clear it.
-          } else {
-            wrap.draggable = false;
-          }
-        }
-        matchEl.appendChild(wrap);
+  if (path.length) {
+    const table = document.createElement("table");
+    table.className = "profile-table";
+    const row = (cells, tag = "td") => {
+      const tr = document.createElement("tr");
+      cells.forEach((c) => {
+        const cell = document.createElement(tag);
+        cell.textContent = c;
+        tr.appendChild(cell);
       });
+      table.appendChild(tr);
+    };
+    row(["Round", "Opponents", "Pts", "Place", "Result", "Total"], "th");
+    path.forEach((e) => {
+      const score = e.score === null ? "–" : String(e.score);
+      row([
+        `${e.round}, ${e.match}`,
+        e.opponents
+          .map((o) => `${o.name} ${o.score === null ? "–" : o.score}`)
+          .join(", ") || "—",
+        [
+          e.legs ? `${score} (${e.legs})` : score,
+          e.shootOff !== undefined && `shoot-off ${e.shootOff ?? "–"}`,
+        ]
+          .filter(Boolean)
+          .join(", "),
+        e.place ? `${ordinal(e.place)} of ${e.of}` : "–",
+        e.outcome,
+        String(e.total),
+      ]);
+    });
+    card.appendChild(table);
+  }
+  dialogButton(card, "Close", close);
+}
 
-      // Highlight players who actually advance to the next round (if known)
-      // We compute the candidate next round and mark any participant that
-      // appears in its matches as an advancer.
-      let advancerIds = new Set();
-      if (round.computed) {
-        try {
-          const next = buildNextRound(round, rIdx);
-          if (next && next.matches) {
-            next.matches.forEach((nm) =>
-              nm.slots.forEach((s) => {
-                if (s.participant && s.participant.id)
-                  advancerIds.add(s.participant.id);
-              })
-            );
-          }
-        } catch (e) {
-          // buildNextRound can return null or throw if placements missing; ignore
-        }
-      }
+// ====== Projector display ======
+// index.html?display is a read-only view for the big screen at the venue:
+// the current round first, large names and flags and the advancers
+// highlighted. When the matches don't fit on one screen, pages rotate.
+const DISPLAY_MODE =
+  typeof location !== "undefined" &&
+  new URLSearchParams(location.search).has("display");
+const DISPLAY_PAGE_MATCHES = 6;
+const DISPLAY_ROTATE_MS = 12000;
+const displayView = el("#displayView");
+let displayPage = 0;
+let displayTimer = null;
 
-      if (advancerIds.size) {
-        Array.from(matchEl.querySelectorAll(".slot")).forEach((slotDiv, i) => {
-          const id = m.slots[i].participant?.id;
-          if (id && advancerIds.has(id)) slotDiv.classList.add("highlight");
-        });
-      }
+/** Pages of matches to show: the current round first, then earlier rounds,
+ * newest first, at most DISPLAY_PAGE_MATCHES matches a page.
+ */
+function displayPages() {
+  const pages = [];
+  for (let rIdx = state.rounds.length - 1; rIdx >= 0; rIdx--) {
+    const { matches } = state.rounds[rIdx];
+    for (let from = 0; from < matches.length; from += DISPLAY_PAGE_MATCHES)
+      pages.push({
+        rIdx,
+        from,
+        matches: matches.slice(from, from + DISPLAY_PAGE_MATCHES),
+      });
+  }
+  return pages;
+}
 
-      matchesGrid.appendChild(matchEl);
-    });
-    roundEl.appendChild(matchesGrid);
-    roundsContainer.appendChild(roundEl);
-  });
+/** The players of a match as shown on the display, in finishing order once
+ * the match is complete.
+ */
+function displayRows(match, rIdx, advancers = new Set()) {
+  const cm = computePlacements(match, roundContext(rIdx));
+  const slots = match.slots.filter((s) => s.participant);
+  const place = (s) =>
+    cm.placements.findIndex((p) => p.id === s.participant.id) + 1;
+  const ordered = cm.isComplete
+    ? [...slots].sort((a, b) => place(a) - place(b))
+    : slots;
+  return ordered
+    .filter((s) => !isBye(s.participant))
+    .map((s) => ({
+      name: s.participant.name,
+      flagUrl: s.participant.flagUrl,
+      points: s.points,
+      status: s.status,
+      place: cm.isComplete ? place(s) : null,
+      advances: advancers.has(s.participant.id),
+    }));
+}
 
-  // Control buttons state
-  btnSeed.disabled = state.participants.length === 0 || state.rounds.length > 0;
-  const hasRounds = state.rounds.length > 0;
-  btnCompute.disabled = !hasRounds;
-  btnNext.disabled = !hasRounds;
+function displayMatchEl(match, label, rows) {
+  const card = document.createElement("div");
+  card.className = "display-match";
+  const h = document.createElement("h3");
+  h.textContent = `Match ${label}`;
+  card.appendChild(h);
+  rows.forEach((r) => {
+    const row = document.createElement("div");
+    row.className = r.advances ? "display-row highlight" : "display-row";
+    const place = document.createElement("span");
+    place.className = "place";
+    place.textContent = r.place ? `${r.place}.` : "";
+    row.appendChild(place);
+    const img = document.createElement("img");
+    img.className = "flag";
+    img.alt = "";
+    if (r.flagUrl) img.src = r.flagUrl;
+    else img.style.visibility = "hidden";
+    row.appendChild(img);
+    const name = document.createElement("span");
+    name.className = "name";
+    name.textContent = r.name;
+    row.appendChild(name);
+    const pts = document.createElement("span");
+    pts.className = "points";
+    pts.textContent =
+      r.status || (typeof r.points === "number" ? r.points : "–");
+    row.appendChild(pts);
+    card.appendChild(row);
+  });
+  return card;
 }
 
-function computeCurrentRound() {
-  if (!state.rounds.length) return;
-  const r = state.rounds[state.rounds.length - 1];
-  // Validate all matches complete
-  const allComplete = r.matches.every((m) => computePlacements(m).isComplete);
-  if (!allComplete) {
-    alert(
-      "Fill points for all non-BYE players in this round before computing."
-    );
+function renderDisplay() {
+  const pages = displayPages();
+  if (displayPage >= pages.length) displayPage = 0;
+  displayView.innerHTML = "";
+  const page = pages[displayPage];
+  if (!page) {
+    const wait = document.createElement("h2");
+    wait.textContent = "Waiting for the first round…";
+    displayView.appendChild(wait);
     return;
   }
-  r.computed = true;
-  renderRounds();
+  const round = state.rounds[page.rIdx];
+  const current = page.rIdx === state.rounds.length - 1;
+  const h = document.createElement("h2");
+  h.textContent = current ? round.name : `${round.name} (earlier round)`;
+  displayView.appendChild(h);
+  if (pages.length > 1) {
+    const counter = document.createElement("div");
+    counter.className = "display-page small";
+    counter.textContent = `${displayPage + 1} / ${pages.length}`;
+    displayView.appendChild(counter);
+  }
+  const grid = document.createElement("div");
+  grid.className = "display-grid";
+  const advancers = advancingIds(round, page.rIdx);
+  page.matches.forEach((m, i) =>
+    grid.appendChild(
+      displayMatchEl(
+        m,
+        indexToLabel(page.from + i),
+        displayRows(m, page.rIdx, advancers)
+      )
+    )
+  );
+  displayView.appendChild(grid);
+}
 
-  // If this is the Final Table, determine the winner and show a popup
-  const isFinalByName = r.name === "Final Table";
-  if (isFinalByName) {
-    // assume single final match
-    const finalMatch = r.matches[0];
-    if (finalMatch) {
-      const cm = computePlacements(finalMatch);
-      if (cm.isComplete && cm.placements && cm.placements.length) {
-        const winner = cm.placements[0];
-        if (winner && winner.name && winner.name !== "BYE") {
-          showWinnerPopup(winner);
-        }
-      }
-    }
+/** Load the latest save; the scoring window saves after every change. */
+function loadDisplayState() {
+  const saved = loadSavedState();
+  try {
+    if (saved) restoreState(saved);
+  } catch (e) {
+    console.error(e);
   }
 }
 
-function buildNext() {
-  if (!state.rounds.length) return;
-  const prev = state.rounds[state.rounds.length - 1];
-  // If we're already at the Final Table, do not build further rounds
-  if (prev.name === "Final Table") {
-    alert("Already at the Final Table. No further rounds can be generated.");
-    return;
+function showDisplay() {
+  renderDisplay();
+  const winner = tournamentWinner();
+  const shown = document.querySelector(".winner-overlay");
+  if (winner && !shown) showWinnerPopup(winner, { display: true });
+  if (!winner && shown) shown.remove();
+}
+
+/** Turn the page into the read-only display and rotate through its pages.
+ * Changes arrive live from the other windows (see Live sync); without
+ * BroadcastChannel every turn picks up the latest save instead.
+ */
+function startDisplay() {
+  document.body.classList.add("display-mode");
+  displayView.hidden = false;
+  loadDisplayState();
+  showDisplay();
+  clearInterval(displayTimer);
+  displayTimer = setInterval(() => {
+    displayPage++;
+    // Live windows and the sync server push changes; only poll the save
+    // when neither is there
+    if (!sync.channel && !server.on) loadDisplayState();
+    showDisplay();
+  }, DISPLAY_ROTATE_MS);
+  // Browsers only allow full screen from a user gesture
+  displayView.addEventListener("click", () => {
+    if (!document.fullscreenElement)
+      document.documentElement.requestFullscreen?.();
+  });
+}
+
+// ====== Participant source ======
+// Where "Load participants" reads from; see sheets.js for the source shapes.
+const SOURCE_KEY = "kapselvm.source";
+const SAMPLE_SOURCE = { type: "url", url: "assets/sample.csv" };
+
+function loadSourceSettings() {
+  const raw = storageGet(SOURCE_KEY);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return null;
   }
+}
+
+function saveSourceSettings(source) {
+  storageSet(SOURCE_KEY, JSON.stringify(source));
+  renderSource();
+}
+
+function renderSource() {
+  const source = loadSourceSettings();
+  const label = describeSource(source);
+  sourceLabel.textContent = label;
+  btnLoad.title = `Load participants from ${label}`;
+  const isUrl = source && source.type === "url";
+  sourceUrl.value = isUrl ? source.url : "";
+  sourceGid.value = isUrl && source.gid ? source.gid : "";
+}
+
+function useSourceFile(file) {
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    saveSourceSettings({
+      type: "file",
+      name: file.name,
+      text: String(reader.result),
+    });
+  };
+  reader.readAsText(file);
+}
+
+// ====== Format settings ======
+const formatSelect = el("#formatSelect");
+const formatSummary = el("#formatSummary");
+const formatFile = el("#formatFile");
+
+function renderFormatSettings() {
+  const current = activeFormat();
+  const options = FORMAT_PRESETS.includes(current)
+    ? FORMAT_PRESETS
+    : [...FORMAT_PRESETS, current];
+  formatSelect.innerHTML = "";
+  options.forEach((f) => {
+    const opt = document.createElement("option");
+    opt.value = f.id;
+    opt.textContent = FORMAT_PRESETS.includes(f) ? f.name : `${f.name} (file)`;
+    opt.selected = f === current;
+    formatSelect.appendChild(opt);
+  });
+  formatSummary.textContent =
+    `Starts with ${current.firstRound.name}; stages: ` +
+    current.stages.map((st) => st.name).join(", ");
+}
+
+function setTournamentFormat(format) {
+  state.tournamentFormat = format === KAPSEL_VM_FORMAT ? null : format;
+  stateChanged(`Format: ${format.name}`);
+  renderFormatSettings();
+  renderRounds();
+}
+
+formatSelect.addEventListener("change", () => {
+  const preset = FORMAT_PRESETS.find((f) => f.id === formatSelect.value);
+  if (preset) setTournamentFormat(preset);
+});
+el("#btnLoadFormat").addEventListener("click", () => formatFile.click());
+el("#btnDownloadFormat").addEventListener("click", () => {
+  const format = activeFormat();
+  downloadText(
+    JSON.stringify(format, null, 2),
+    `${format.id}-format.json`,
+    "application/json"
+  );
+});
+formatFile.addEventListener("change", (ev) => {
+  const file = ev.target.files?.[0];
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    formatFile.value = "";
+    let format;
+    try {
+      format = JSON.parse(String(reader.result));
+    } catch (e) {
+      showProblemsDialog(`Could not open ${file.name}`, {
+        problems: [`file: not valid JSON (${e.message})`],
+      });
+      return;
+    }
+    const problems = validateFormat(format);
+    if (problems.length) {
+      showProblemsDialog(`${file.name} is not a usable format`, { problems });
+      return;
+    }
+    setTournamentFormat(format);
+  };
+  reader.readAsText(file);
+});
+
+// ====== Tiebreak settings ======
+const tiebreakList = el("#tiebreakList");
+const tiebreakAdd = el("#tiebreakAdd");
+
+function renderTiebreakSettings() {
+  const chain = tiebreakChain();
+  tiebreakList.innerHTML = "";
+  chain.forEach((id, i) => {
+    const li = document.createElement("li");
+    const label = document.createElement("span");
+    label.textContent = tiebreakLabel(id);
+    li.appendChild(label);
+    const button = (text, title, disabled, next) => {
+      const b = document.createElement("button");
+      b.textContent = text;
+      b.title = title;
+      b.disabled = disabled;
+      b.addEventListener("click", () => setTiebreaks(next(), title));
+      li.appendChild(b);
+    };
+    const moved = (to) => {
+      const next = chain.filter((r) => r !== id);
+      next.splice(to, 0, id);
+      return next;
+    };
+    button("↑", `Move ${label.textContent} up`, i === 0, () => moved(i - 1));
+    button("↓", `Move ${label.textContent} down`, i === chain.length - 1, () =>
+      moved(i + 1)
+    );
+    button("✕", `Remove ${label.textContent}`, false, () =>
+      chain.filter((r) => r !== id)
+    );
+    tiebreakList.appendChild(li);
+  });
+  tiebreakAdd.innerHTML = "";
+  Object.keys(TIEBREAK_RULES)
+    .filter((id) => !chain.includes(id))
+    .forEach((id) => {
+      const opt = document.createElement("option");
+      opt.value = id;
+      opt.textContent = tiebreakLabel(id);
+      tiebreakAdd.appendChild(opt);
+    });
+  el("#btnAddTiebreak").disabled = !tiebreakAdd.children.length;
+}
 
-  if (!prev.computed) {
-    alert("Compute the current round first.");
-    return;
-  }
-  const next = buildNextRound(prev, state.rounds.length - 1);
-  if (!next) {
-    alert("No advancers.");
-    return;
-  }
-  state.rounds.push(next);
+/** Replace the tiebreak chain; `label` describes the change for history. */
+function setTiebreaks(chain, label) {
+  const isDefault = chain.join() === DEFAULT_TIEBREAKS.join();
+  state.tiebreaks = isDefault ? null : chain;
+  stateChanged(`Tiebreaks: ${label}`);
+  renderTiebreakSettings();
   renderRounds();
 }
 
-/** Show a simple modal congratulating the winner */
-function showWinnerPopup(winner) {
-  // Guard
-  if (!winner) return;
-  // Remove existing overlay if present
-  const existing = document.querySelector(".winner-overlay");
-  if (existing) existing.remove();
+el("#btnAddTiebreak").addEventListener("click", () => {
+  const id = tiebreakAdd.value;
+  if (!TIEBREAK_RULES[id]) return;
+  setTiebreaks([...tiebreakChain(), id], `Add ${tiebreakLabel(id)}`);
+});
+el("#btnDefaultTiebreaks").addEventListener("click", () =>
+  setTiebreaks(DEFAULT_TIEBREAKS, "Use default")
+);
 
-  const overlay = document.createElement("div");
-  overlay.className = "winner-overlay";
+// ====== Scoring settings ======
+const legsInput = el("#legsInput");
 
-  const card = document.createElement("div");
-  card.className = "winner-card";
+function renderScoringSettings() {
+  legsInput.value = state.legs ? String(state.legs) : "";
+}
 
-  if (winner.flagUrl) {
-    const img = document.createElement("img");
-    img.src = winner.flagUrl;
-    img.alt = `${winner.name} flag`;
-    card.appendChild(img);
+/** Use `count` legs per match (null for one score per player) in new
+ * matches and in every match that has no scores yet.
+ */
+function setLegsPerMatch(count) {
+  state.legs = count;
+  state.rounds.forEach((r) =>
+    r.matches.forEach((m) => {
+      if (matchHasScores(m)) return;
+      if (count) m.legs = count;
+      else delete m.legs;
+    })
+  );
+  stateChanged(
+    count ? `Scoring: ${count} legs per match` : "Scoring: one score per player"
+  );
+  renderScoringSettings();
+  renderRounds();
+}
+
+legsInput.addEventListener("change", () => {
+  const count = legsInput.value === "" ? null : Number(legsInput.value);
+  if (count === state.legs) return;
+  if (count !== null && !isLegCount(count, 2)) {
+    alert(`Enter 2 to ${MAX_LEGS} legs, or leave empty for one score.`);
+    renderScoringSettings();
+    return;
   }
+  setLegsPerMatch(count);
+});
 
-  const h = document.createElement("h2");
-  h.textContent = `Congratulations, ${winner.name}!`;
-  card.appendChild(h);
+const ruleFields = {
+  min: el("#ruleMin"),
+  max: el("#ruleMax"),
+  total: el("#ruleTotal"),
+  integers: el("#ruleIntegers"),
+  distinct: el("#ruleDistinct"),
+};
 
-  const desc = document.createElement("p");
-  desc.textContent = "You are the 2026 world champion of kapsel!";
-  card.appendChild(desc);
+function renderScoreRules() {
+  const rules = scoreRules();
+  ["min", "max", "total"].forEach((key) => {
+    ruleFields[key].value = rules[key] === null ? "" : String(rules[key]);
+  });
+  ruleFields.integers.checked = rules.integers;
+  ruleFields.distinct.checked = rules.distinct;
+}
 
-  const btn = document.createElement("button");
-  btn.textContent = "Close";
-  btn.addEventListener("click", () => overlay.remove());
-  card.appendChild(btn);
+/** Replace the score rules and re-check every match against them. */
+function setScoreRules(rules) {
+  const isDefault =
+    JSON.stringify(rules) === JSON.stringify(DEFAULT_SCORE_RULES);
+  state.scoreRules = isDefault ? null : rules;
+  stateChanged(`Score rules: ${describeScoreRules(rules)}`);
+  renderScoreRules();
+  renderRounds();
+}
 
-  // Download CSV button: exports all rounds/matches/slots data
-  const btnDownload = document.createElement("button");
-  btnDownload.textContent = "Download Results";
-  btnDownload.addEventListener("click", () => {
-    try {
-      const csv = buildRoundsCsv();
-      const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = `tournament-rounds-${Date.now()}.csv`;
-      document.body.appendChild(a);
-      a.click();
-      a.remove();
-      URL.revokeObjectURL(url);
-    } catch (err) {
-      console.error("Failed to build CSV", err);
-      alert("Failed to generate CSV. See console for details.");
+Object.values(ruleFields).forEach((field) =>
+  field.addEventListener("change", () => {
+    const number = (key) =>
+      ruleFields[key].value === "" ? null : Number(ruleFields[key].value);
+    const rules = {
+      min: number("min"),
+      max: number("max"),
+      integers: ruleFields.integers.checked,
+      total: number("total"),
+      distinct: ruleFields.distinct.checked,
+    };
+    const problems = validateScoreRules(rules);
+    if (problems.length) {
+      alert(`These rules can't be used:\n\n${problems.join("\n")}`);
+      renderScoreRules();
+      return;
     }
-  });
-  card.appendChild(btnDownload);
+    setScoreRules(rules);
+  })
+);
+el("#btnDefaultScoreRules").addEventListener("click", () =>
+  setScoreRules(DEFAULT_SCORE_RULES)
+);
 
-  overlay.appendChild(card);
-  document.body.appendChild(overlay);
+// ====== Seed settings ======
+const seedInput = el("#seedInput");
+
+function renderSeedSettings() {
+  const locked = state.rounds.length > 0;
+  seedInput.value = state.seed;
+  el("#seedDraws").textContent = `${state.draws} draw(s) used so far.${
+    locked ? " The seed is fixed once rounds exist." : ""
+  }`;
+  seedInput.disabled = locked;
+  el("#btnUseSeed").disabled = locked;
+  el("#btnNewSeed").disabled = locked;
+}
+
+/** Restart the random stream from `seed`. The same seed keeps the stream
+ * where it is; a new one is refused once rounds exist, since their draws
+ * and replays come from the current stream. Returns whether it was set.
+ */
+function setSeed(seed) {
+  if (seed === state.seed) return true;
+  if (state.rounds.length) {
+    alert("The seed can only be changed before the first round is created.");
+    renderSeedSettings();
+    return false;
+  }
+  state.seed = seed;
+  state.draws = 0;
+  stateChanged(`Seed: ${seed}`);
+  renderSeedSettings();
+  return true;
 }
 
+el("#btnUseSeed").addEventListener("click", () => {
+  const seed = seedInput.value.trim();
+  if (!seed) {
+    alert("Enter a seed first.");
+    return;
+  }
+  setSeed(seed);
+});
+el("#btnNewSeed").addEventListener("click", () => setSeed(newSeed()));
+
 // ====== Wiring ======
 btnLoad.addEventListener("click", async () => {
-  // Use the bundled default Google Sheet CSV URL (published sheet)
+  const source = loadSourceSettings();
   try {
-    const people = await fetchParticipantsFromDefaultSheet();
+    const { participants: people, warnings } =
+      await fetchParticipantsFromSource(source);
+    if (state.participants.length) {
+      // Merge into the running tournament instead of starting over.
+      showSyncDialog(diffParticipants(state.participants, people), warnings);
+      return;
+    }
     state.participants = people;
     state.rounds = [];
+    stateChanged(`Load ${people.length} participant(s)`);
     renderParticipants();
     renderRounds();
+    if (warnings.length)
+      showListDialog(`Loaded ${people.length} participant(s)`, warnings);
   } catch (e) {
     console.error(e);
-    alert("Failed to load CSV. See console for details.");
+    alert(
+      `Failed to load participants from ${describeSource(source)}: ${e.message}`
+    );
   }
 });
 
-if (btnUseSample) {
-  btnUseSample.addEventListener("click", async () => {
-    const people = await fetchParticipantsFromSample();
-    state.participants = people;
-    state.rounds = [];
-    renderParticipants();
-    renderRounds();
-  });
-}
+el("#btnDisplay").addEventListener("click", () => {
+  // The display reads the save, so write any pending change first
+  saveNow();
+  window.open("?display", "kapsel-display");
+});
+
+btnSettings.addEventListener("click", () => {
+  settingsPanel.hidden = !settingsPanel.hidden;
+  if (!settingsPanel.hidden) {
+    renderSource();
+    renderFormatSettings();
+    renderTiebreakSettings();
+    renderScoringSettings();
+    renderScoreRules();
+    renderSeedSettings();
+  }
+});
+el("#btnCloseSettings").addEventListener("click", () => {
+  settingsPanel.hidden = true;
+});
+el("#btnSaveSource").addEventListener("click", () => {
+  const url = sourceUrl.value.trim();
+  if (!url) {
+    alert("Paste a published CSV or Google Sheets URL first.");
+    return;
+  }
+  const gid = sourceGid.value.trim();
+  saveSourceSettings(gid ? { type: "url", url, gid } : { type: "url", url });
+});
+el("#btnDefaultSource").addEventListener("click", () =>
+  saveSourceSettings(null)
+);
+el("#btnSampleSource").addEventListener("click", () =>
+  saveSourceSettings(SAMPLE_SOURCE)
+);
+el("#btnPickSourceFile").addEventListener("click", () => sourceFile.click());
+sourceFile.addEventListener("change", (ev) => {
+  useSourceFile(ev.target.files?.[0]);
+  sourceFile.value = "";
+});
+sourceDrop.addEventListener("dragover", (ev) => {
+  ev.preventDefault();
+  sourceDrop.classList.add("over");
+});
+sourceDrop.addEventListener("dragleave", () =>
+  sourceDrop.classList.remove("over")
+);
+sourceDrop.addEventListener("drop", (ev) => {
+  ev.preventDefault();
+  sourceDrop.classList.remove("over");
+  useSourceFile(ev.dataTransfer.files?.[0]);
+});
 
 btnSeed.addEventListener("click", () => {
   if (!state.participants.length) return;
-  // Create a manual first round where the user can drag participants into groups
+  const r1 = buildFirstRound();
+  state.rounds = [r1];
+  stateChanged(`Start ${r1.name}`);
+  renderParticipants();
+  renderRounds();
+});
+
+/** Build Round 1 with every participant drawn into a group (see drawGroups).
+ * Run it through seededStep so the draw can be replayed.
+ */
+function drawFirstRound() {
+  const round = buildFirstRound();
+  const { firstRound } = activeFormat();
+  const groups = drawGroups(
+    state.participants,
+    round.matches.map((m) => m.slots.length),
+    firstRound.groupsFromSection || "1"
+  );
+  round.matches.forEach((m, i) =>
+    groups[i].forEach((p, j) => (m.slots[j].participant = p))
+  );
+  return round;
+}
+
+/** Create a manual first round where the user can drag participants into
+ * groups.
+ */
+function buildFirstRound() {
   const n = state.participants.length;
-  // If there are players marked with section '1', use their count as desired group
-  // count (one '1' per group). Cap the group count so each group has at least 4.
-  const seatOnes = state.participants.filter(
-    (p) => String(p.section).trim() === "1"
-  ).length;
-  // Default initial group count when no explicit seat-1 markers exist.
-  const DEFAULT_INITIAL_GROUPS = 6;
-  // Use seatOnes only when it represents at least DEFAULT_INITIAL_GROUPS groups;
-  // otherwise prefer the DEFAULT_INITIAL_GROUPS baseline so small seat-1 counts
-  // don't force fewer groups than expected.
-  const useSeatOnes = seatOnes > 0 && seatOnes >= DEFAULT_INITIAL_GROUPS;
-  const sizes = useSeatOnes
-    ? computeGroupSizesForCount(n, seatOnes)
-    : computeGroupSizesForCount(n, DEFAULT_INITIAL_GROUPS);
+  const { firstRound } = activeFormat();
+  // If there are players marked with the seed section (e.g. '1'), use their
+  // count as desired group count (one seed per group).
+  const seatOnes = firstRound.groupsFromSection
+    ? state.participants.filter(
+        (p) => String(p.section).trim() === firstRound.groupsFromSection
+      ).length
+    : 0;
+  // Use seatOnes only when it represents at least the format's group count;
+  // otherwise prefer that baseline so small seed counts don't force fewer
+  // groups than expected.
+  const useSeatOnes = seatOnes > 0 && seatOnes >= firstRound.groups;
+  const sizes = computeGroupSizesForCount(
+    n,
+    useSeatOnes ? seatOnes : firstRound.groups
+  );
   // Debug: log group computation for troubleshooting when users see unexpected
   // number of groups (helps confirm sizes in the browser console).
   try {
@@ -1230,69 +4555,386 @@ btnSeed.addEventListener("click", () => {
       points: undefined,
     })),
     isComplete: false,
+    ...legsField(),
   }));
-  const r1 = { id: `r_${uid()}`, name: "Round 1", matches, computed: false };
+  return {
+    id: `r_${uid()}`,
+    name: firstRound.name,
+    matches,
+    computed: false,
+  };
+}
+
+btnAutoDraw.addEventListener("click", () => {
+  if (!state.participants.length) return;
+  const current = state.rounds[0];
+  const placed = current?.matches.some((m) =>
+    m.slots.some((s) => s.participant)
+  );
+  if (placed && !confirm(`Replace the players placed in ${current.name}?`))
+    return;
+  const r1 = seededStep(drawFirstRound);
   state.rounds = [r1];
+  stateChanged(`Auto-draw ${r1.name}`);
   renderParticipants();
   renderRounds();
+  const clashes = firstRoundClashes(r1);
+  if (clashes.length)
+    showListDialog("No draw keeps every section apart", clashes);
 });
 
+btnBracket.addEventListener("click", () => toggleBracket());
 btnCompute.addEventListener("click", () => computeCurrentRound());
 btnNext.addEventListener("click", () => buildNext());
+btnUndo.addEventListener("click", () => undo());
+btnRedo.addEventListener("click", () => redo());
+
+// Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) work everywhere except free-text fields,
+// which keep their native undo. Score inputs are covered by our history.
+window.addEventListener("keydown", (ev) => {
+  if (!(ev.ctrlKey || ev.metaKey) || ev.altKey) return;
+  const t = ev.target;
+  const tag = t && t.tagName;
+  if (tag === "TEXTAREA" || (tag === "INPUT" && t.type !== "number")) return;
+  const key = String(ev.key).toLowerCase();
+  if (key === "z" && !ev.shiftKey) {
+    ev.preventDefault();
+    undo();
+  } else if ((key === "z" && ev.shiftKey) || key === "y") {
+    ev.preventDefault();
+    redo();
+  }
+});
+
+// Alt shortcuts for keyboard entry (see Keyboard entry). `code` is used
+// because Alt changes `key` on some layouts.
+window.addEventListener("keydown", (ev) => {
+  if (!ev.altKey || ev.ctrlKey || ev.metaKey || DISPLAY_MODE) return;
+  const action = {
+    KeyI: () => focusNextIncomplete(),
+    KeyW: () => btnCompute.disabled || computeCurrentRound(),
+    KeyN: () => btnNext.disabled || buildNext(),
+  }[ev.code];
+  if (!action) return;
+  ev.preventDefault();
+  action();
+});
 
 btnReset.addEventListener("click", () => {
   if (!confirm("Clear participants and rounds?")) return;
   state.participants = [];
   state.rounds = [];
+  state.seed = newSeed();
+  state.draws = 0;
+  stateChanged("Reset");
   renderParticipants();
   renderRounds();
 });
 
+/** Trigger a browser download of `text` as `filename`. */
+function downloadText(text, filename, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
 if (btnExport) {
   btnExport.addEventListener("click", () => {
-    const blob = new Blob([JSON.stringify(state, null, 2)], {
-      type: "application/json",
-    });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `tournament-state-${Date.now()}.json`;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+    downloadText(
+      JSON.stringify(serializeState(), null, 2),
+      `kapsel-tournament-${stamp}.json`,
+      "application/json"
+    );
   });
 }
 
+if (btnImport && fileImport) {
+  btnImport.addEventListener("click", () => fileImport.click());
+}
+
 if (fileImport) {
   fileImport.addEventListener("change", (ev) => {
     const file = ev.target.files?.[0];
     if (!file) return;
     const reader = new FileReader();
     reader.onload = () => {
+      // Allow re-opening the same file after fixing it.
+      fileImport.value = "";
+      let obj;
       try {
-        const obj = JSON.parse(String(reader.result));
-        if (
-          !obj ||
-          !Array.isArray(obj.participants) ||
-          !Array.isArray(obj.rounds)
-        )
-          throw new Error("Bad file");
-        state.participants = obj.participants;
-        state.rounds = obj.rounds;
-        renderParticipants();
-        renderRounds();
+        obj = JSON.parse(String(reader.result));
+      } catch (e) {
+        showProblemsDialog(`Could not open ${file.name}`, {
+          problems: [`file: not valid JSON (${e.message})`],
+        });
+        return;
+      }
+      const hasContent = state.participants.length || state.rounds.length;
+      if (
+        hasContent &&
+        !confirm("Replace the current tournament with this file?")
+      )
+        return;
+      try {
+        restoreState(obj);
       } catch (e) {
-        alert("Invalid state file.");
+        console.error(e);
+        showProblemsDialog(`Could not open ${file.name}`, e);
+        return;
       }
+      stateChanged(`Open ${file.name}`);
+      renderParticipants();
+      renderRounds();
     };
     reader.readAsText(file);
   });
 }
 
+/** List validation problems (from an Error's `problems`) in a modal. */
+function showProblemsDialog(title, err) {
+  const problems = err.problems?.length ? err.problems : [err.message];
+  showListDialog(title, problems, "error");
+}
+
+/** Create a modal card with a title; the caller fills `card` and appends
+ * buttons. Returns { overlay, card, close }.
+ */
+function createDialog(title, className = "report-card") {
+  const overlay = document.createElement("div");
+  overlay.className = "winner-overlay";
+  const card = document.createElement("div");
+  card.className = `winner-card ${className}`;
+  const h = document.createElement("h2");
+  h.textContent = title;
+  card.appendChild(h);
+  overlay.appendChild(card);
+  document.body.appendChild(overlay);
+  return { overlay, card, close: () => overlay.remove() };
+}
+
+function reportList(items, tone) {
+  const ul = document.createElement("ul");
+  ul.className = `report-list ${tone}`;
+  items.forEach((msg) => {
+    const li = document.createElement("li");
+    li.textContent = msg;
+    ul.appendChild(li);
+  });
+  return ul;
+}
+
+function dialogButton(card, label, onClick) {
+  const btn = document.createElement("button");
+  btn.textContent = label;
+  btn.addEventListener("click", onClick);
+  card.appendChild(btn);
+  return btn;
+}
+
+/** Show a titled list of messages in a modal; `tone` is "warn" or "error". */
+function showListDialog(title, items, tone = "warn") {
+  const { card, close } = createDialog(title);
+  card.appendChild(reportList(items, tone));
+  dialogButton(card, "Close", close);
+}
+
+/** Rebuild round `rIdx` from `seed` the way Auto-draw or Next Round built
+ * it.
+ */
+function replayRound(rIdx, seed) {
+  if (rIdx === 0) return seededStep(drawFirstRound, seed);
+  const prev = state.rounds[rIdx - 1];
+  return seededStep(() => buildNextRound(prev, rIdx - 1), seed);
+}
+
+function describeLineups(round) {
+  return round.matches.map(
+    (m, mIdx) =>
+      `Match ${indexToLabel(mIdx)}: ${
+        m.slots.map((s) => s.participant?.name || "–").join(", ") || "–"
+      }`
+  );
+}
+
+/** Replay how round `rIdx` was built from a seed (its own by default) and
+ * compare it with the recorded round, e.g. to show players a disputed draw.
+ * The replay can replace the round while it is the last one and unscored.
+ */
+function showReplayDialog(rIdx) {
+  const round = state.rounds[rIdx];
+  const { card, close } = createDialog(`Replay ${round.name}`);
+  const label = document.createElement("label");
+  label.textContent = "Seed ";
+  const input = document.createElement("input");
+  input.type = "text";
+  input.value = round.seed;
+  label.appendChild(input);
+  card.appendChild(label);
+  const result = document.createElement("div");
+  card.appendChild(result);
+
+  const scored = round.matches.some((m) =>
+    m.slots.some((s) => typeof s.points === "number")
+  );
+  const canReplace = rIdx === state.rounds.length - 1 && !scored;
+  let replayed = null;
+  const run = () => {
+    replayed = replayRound(rIdx, input.value.trim() || round.seed);
+    result.innerHTML = "";
+    if (!replayed) {
+      result.appendChild(
+        reportList(["The round before it no longer builds a round."], "error")
+      );
+      use.hidden = true;
+      return;
+    }
+    const lineup = (r) =>
+      JSON.stringify(
+        r.matches.map((m) => m.slots.map((s) => s.participant?.id))
+      );
+    const same = lineup(replayed) === lineup(round);
+    result.appendChild(
+      reportList(
+        [
+          same
+            ? `Seed ${replayed.seed} gives the recorded draw.`
+            : `Seed ${replayed.seed} gives a different draw.`,
+        ],
+        same ? "ok" : "warn"
+      )
+    );
+    result.appendChild(reportList(describeLineups(replayed), "ok"));
+    if (round.overrides?.length)
+      result.appendChild(
+        reportList(
+          [
+            `${round.overrides.length} override(s) were applied after the recorded draw.`,
+          ],
+          "warn"
+        )
+      );
+    use.hidden = same || !canReplace;
+  };
+  dialogButton(card, "Replay", run);
+  const use = dialogButton(card, "Use this draw", () => {
+    state.rounds[rIdx] = replayed;
+    stateChanged(`Replay ${round.name} from seed ${replayed.seed}`);
+    renderParticipants();
+    renderRounds();
+    close();
+  });
+  dialogButton(card, "Close", close);
+  run();
+}
+
+/** Ids of every participant placed in any round. */
+function placedParticipantIds() {
+  const ids = new Set();
+  state.rounds.forEach((r) =>
+    r.matches.forEach((m) =>
+      m.slots.forEach((s) => {
+        if (s.participant && !isBye(s.participant)) ids.add(s.participant.id);
+      })
+    )
+  );
+  return ids;
+}
+
+/** Apply a diffParticipants() result to the running tournament. Existing
+ * participant objects are updated in place (slots reference them, so rounds
+ * pick up renames and flags). Removed players who are already placed in a
+ * round are kept so no entered scores disappear; they are returned.
+ */
+function applyParticipantSync(diff) {
+  const placed = placedParticipantIds();
+  diff.changed.forEach(({ from, to, fields }) =>
+    fields.forEach((f) => {
+      if (to[f] === undefined) delete from[f];
+      else from[f] = to[f];
+    })
+  );
+  const kept = diff.removed.filter((p) => placed.has(p.id));
+  const drop = new Set(
+    diff.removed.filter((p) => !placed.has(p.id)).map((p) => p.id)
+  );
+  state.participants = state.participants
+    .filter((p) => !drop.has(p.id))
+    .concat(diff.added);
+  return kept;
+}
+
+function describeChange({ from, to, fields }) {
+  const parts = fields.map((f) => {
+    if (f === "name") return `renamed to "${to.name}"`;
+    if (f === "flagUrl") return "flag changed";
+    return `section ${from.section || "–"} → ${to.section || "–"}`;
+  });
+  return `${from.name}: ${parts.join(", ")}`;
+}
+
+/** Preview a re-sync and apply it on confirmation. */
+function showSyncDialog(diff, warnings) {
+  const { added, removed, changed } = diff;
+  if (!added.length && !removed.length && !changed.length) {
+    if (warnings.length)
+      showListDialog("Participants are up to date", warnings);
+    else alert("Participants are already up to date.");
+    return;
+  }
+  const placed = placedParticipantIds();
+  const { card, close } = createDialog("Re-sync participants");
+  const section = (heading, items, tone) => {
+    if (!items.length) return;
+    const h = document.createElement("h3");
+    h.textContent = `${heading} (${items.length})`;
+    card.appendChild(h);
+    card.appendChild(reportList(items, tone));
+  };
+  section(
+    "Added",
+    added.map((p) => p.name),
+    "ok"
+  );
+  section("Changed", changed.map(describeChange), "ok");
+  section(
+    "Removed",
+    removed.map((p) =>
+      placed.has(p.id)
+        ? `${p.name} — already placed in a round; kept so their scores stay. Unassign them and re-sync to remove.`
+        : p.name
+    ),
+    "warn"
+  );
+  if (added.length && state.rounds.length > 1)
+    section(
+      "Note",
+      ["Added players are not placed in rounds that were already built."],
+      "warn"
+    );
+  section("Sheet warnings", warnings, "warn");
+
+  dialogButton(card, "Apply changes", () => {
+    close();
+    applyParticipantSync(diff);
+    stateChanged(
+      `Re-sync participants (+${added.length} −${removed.length} ~${changed.length})`
+    );
+    renderParticipants();
+    renderRounds();
+  });
+  dialogButton(card, "Cancel", close);
+}
+
 /** Build a CSV string representing all rounds, matches and slot/player data.
  * Columns: Round, Match, SlotIndex, Placement, ParticipantId, ParticipantName,
- * Section, Points, FlagUrl
+ * Section, Points, Legs, FlagUrl, Status, Override
  */
 function buildRoundsCsv() {
   function escapeCsvField(v) {
@@ -1310,11 +4952,20 @@ function buildRoundsCsv() {
       "ParticipantName",
       "Section",
       "Points",
+      "Legs",
       "FlagUrl",
+      "Status",
+      "Override",
     ].join(",")
   );
 
   state.rounds.forEach((round) => {
+    // Reason for the latest override that put a player in their slot
+    const overrideFor = (id) =>
+      (round.overrides || [])
+        .filter((o) => o.id === id && o.type !== "remove")
+        .map((o) => o.reason)
+        .pop() || "";
     round.matches.forEach((m, mIdx) => {
       const cm = computePlacements(m);
       // Determine ordered placements if available, else fallback to slot order
@@ -1339,11 +4990,55 @@ function buildRoundsCsv() {
           p.name || "",
           p.section || "",
           points,
+          describeLegs(s),
+          p.flagUrl || "",
+          s.status || "",
+          overrideFor(p.id),
+        ];
+        rows.push(cols.map(escapeCsvField).join(","));
+      });
+    });
+    (round.shootOffs || []).forEach((so, soIdx) => {
+      const order = computePlacements(so).placements || [];
+      so.slots.forEach((s, slotIdx) => {
+        const p = s.participant;
+        const placement = order.findIndex((pp) => pp.id === p.id);
+        const cols = [
+          round.name,
+          shootOffLabel(soIdx),
+          slotIdx,
+          placement >= 0 ? placement + 1 : "",
+          p.name || "",
+          p.section || "",
+          typeof s.points === "number" ? s.points : "",
+          "",
           p.flagUrl || "",
+          "",
+          "",
         ];
         rows.push(cols.map(escapeCsvField).join(","));
       });
     });
+    // Removed players have no slot; list them so the reason is exported
+    (round.overrides || [])
+      .filter((o) => o.type === "remove")
+      .forEach((o) => {
+        const p = findParticipantById(o.id) || { name: o.id };
+        const cols = [
+          round.name,
+          o.match,
+          "",
+          "",
+          p.name || "",
+          p.section || "",
+          "",
+          "",
+          p.flagUrl || "",
+          "",
+          `Removed: ${o.reason}`,
+        ];
+        rows.push(cols.map(escapeCsvField).join(","));
+      });
   });
 
   return rows.join("\r\n");
@@ -1399,12 +5094,18 @@ function renderHistoryInPopup(overlay, card) {
           name.className = "player-name";
           name.textContent = p?.name || "";
           pl.appendChild(name);
-          const points = m.slots.find(
-            (s) => s.participant?.id === p?.id
-          )?.points;
+          const slot = m.slots.find((s) => s.participant?.id === p?.id);
+          const points = slot?.points;
           const pts = document.createElement("div");
           pts.className = "player-points";
-          pts.textContent = typeof points === "number" ? String(points) : "-";
+          pts.textContent =
+            slot?.status || (typeof points === "number" ? String(points) : "-");
+          if (slot?.legs) {
+            const legs = document.createElement("div");
+            legs.className = "player-legs";
+            legs.textContent = describeLegs(slot);
+            pl.appendChild(legs);
+          }
           pl.appendChild(pts);
           list.appendChild(pl);
         });
@@ -1413,6 +5114,36 @@ function renderHistoryInPopup(overlay, card) {
         rdiv.appendChild(mdiv);
       });
 
+      (round.shootOffs || []).forEach((so, soIdx) => {
+        const sdiv = document.createElement("div");
+        sdiv.className = "match-entry";
+        const sh = document.createElement("div");
+        sh.textContent = `${shootOffLabel(soIdx)} (place ${so.place})`;
+        sdiv.appendChild(sh);
+        so.slots.forEach((s) => {
+          const pl = document.createElement("div");
+          pl.className = "player-line";
+          const name = document.createElement("div");
+          name.className = "player-name";
+          name.textContent = s.participant?.name || "";
+          pl.appendChild(name);
+          const pts = document.createElement("div");
+          pts.className = "player-points";
+          pts.textContent =
+            typeof s.points === "number" ? String(s.points) : "-";
+          pl.appendChild(pts);
+          sdiv.appendChild(pl);
+        });
+        rdiv.appendChild(sdiv);
+      });
+
+      (round.overrides || []).forEach((o) => {
+        const odiv = document.createElement("div");
+        odiv.className = "match-entry";
+        odiv.textContent = `Override — ${describeOverride(o)}`;
+        rdiv.appendChild(odiv);
+      });
+
       hist.appendChild(rdiv);
     });
   }
@@ -1423,23 +5154,29 @@ function renderHistoryInPopup(overlay, card) {
   back.textContent = "Back";
   back.addEventListener("click", () => {
     overlay.remove();
-    // Re-open winner popup by finding winner from last final round if any
-    const last = state.rounds[state.rounds.length - 1];
-    if (last && last.name === "Final Table") {
-      const fm = last.matches[0];
-      if (fm) {
-        const cm = computePlacements(fm);
-        const winner = cm.placements?.[0];
-        if (winner) showWinnerPopup(winner);
-      }
-    }
+    // Re-open the winner popup if the final is decided
+    const winner = tournamentWinner();
+    if (winner) showWinnerPopup(winner);
   });
   card.appendChild(back);
 }
 
 // Initialize
-renderParticipants();
-renderRounds();
+if (DISPLAY_MODE) {
+  startDisplay();
+} else {
+  offerResume();
+  resetHistory();
+  renderSource();
+  renderParticipants();
+  renderRounds();
+}
+startLiveUpdates();
+
+// Flush a pending debounced save when the page goes away.
+window.addEventListener("pagehide", () => {
+  if (saveTimer) saveNow();
+});
 
 // Ensure main content is pushed below the fixed header so it doesn't hide under it.
 function adjustMainPadding() {
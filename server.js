@@ -0,0 +1,479 @@
+// Optional sync server for running one tournament from several devices on a
+// LAN. It serves the app, holds the authoritative tournament and stores it
+// on disk. Scorekeepers claim a match before entering its scores, so two
+// people can't overwrite each other.
+//
+//   node server.js [--port 8080] [--data tournament-server.json]
+//
+// Uses only Node built-ins, so it runs without internet access.
+//
+// API (JSON):
+//   GET    /api/state                 -> { rev, data, claims }
+//   PUT    /api/state                 { client, base, data } -> { rev }
+//   POST   /api/claims/:round/:match  { client } -> { claims }
+//   DELETE /api/claims/:round/:match  { client } -> { claims }
+//   POST   /api/scores/:round/:match  { client, slots } -> { rev }
+//   GET    /api/events                server-sent events, one per change
+//
+// `data` is a tournament file (see serializeState in app.js); one the app
+// couldn't load is refused with 400 and a list of problems. A PUT whose
+// `base` isn't the current revision is refused with 409 and the current
+// state, as is one that changes a match claimed by another client. Scores
+// are the slots of one match or shoot-off as
+// [{ participant: id, points?, status?, … }] in lineup order; invalid
+// points, statuses or legs are refused with 400 and a list of problems.
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const SAVE_FORMAT_ID = "kapsel-vm-tournament";
+// Same as SLOT_STATUSES and MAX_LEGS in app.js
+const SLOT_STATUSES = ["DNS", "DNF", "DQ", "Forfeit"];
+const MAX_LEGS = 20;
+// A claim lapses when its scorer has been idle this long.
+const CLAIM_TTL_MS = 5 * 60 * 1000;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+// The app's own files; nothing else under the root is served.
+const STATIC_FILES = ["index.html", "app.js", "sheets.js", "styles.css"];
+const STATIC_DIRS = ["assets"];
+const STATIC_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".csv": "text/csv; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".ico": "image/x-icon",
+};
+
+class HttpError extends Error {
+  constructor(status, message, body) {
+    super(message);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/** Create the server. `root` is the directory of the app's files and
+ * `dataFile` where the tournament is kept. Returns the http.Server; call
+ * `listen` on it.
+ */
+function createSyncServer({ root = __dirname, dataFile, now = Date.now }) {
+  const store = loadStore(dataFile);
+  const claims = new Map(); // "round/match" -> { client, at }
+  const listeners = new Set();
+
+  function liveClaims() {
+    const out = {};
+    claims.forEach((c, key) => {
+      if (now() - c.at < CLAIM_TTL_MS) out[key] = c;
+      else claims.delete(key);
+    });
+    return out;
+  }
+
+  function current() {
+    return { rev: store.rev, data: store.data, claims: liveClaims() };
+  }
+
+  function changed() {
+    saveStore(dataFile, store);
+    broadcast();
+  }
+
+  function broadcast() {
+    const event = `data: ${JSON.stringify(current())}\n\n`;
+    listeners.forEach((res) => res.write(event));
+  }
+
+  function claimFor(key, client) {
+    const claim = liveClaims()[key];
+    if (claim && claim.client !== client)
+      throw new HttpError(409, "Match is being scored on another device", {
+        claims: liveClaims(),
+      });
+    return claim;
+  }
+
+  const routes = {
+    "GET /api/state": () => current(),
+
+    "PUT /api/state": (body) => {
+      if (body.base !== store.rev)
+        throw new HttpError(409, "Tournament changed meanwhile", current());
+      if (!body.data || body.data.format !== SAVE_FORMAT_ID)
+        throw new HttpError(400, "Not a tournament file");
+      const problems = tournamentProblems(body.data);
+      if (problems.length)
+        throw new HttpError(400, "Invalid tournament", { problems });
+      // Scores of a match claimed by someone else stay theirs to change
+      Object.keys(liveClaims()).forEach((key) => {
+        if (
+          slotsJson(matchOrNull(store.data, key)) !==
+          slotsJson(matchOrNull(body.data, key))
+        )
+          claimFor(key, body.client);
+      });
+      store.data = body.data;
+      store.rev++;
+      changed();
+      return { rev: store.rev };
+    },
+
+    "POST /api/claims": (body, key) => {
+      findMatch(store.data, key);
+      claimFor(key, body.client);
+      // One match per scorer: claiming another releases the previous one
+      claims.forEach((c, k) => c.client === body.client && claims.delete(k));
+      claims.set(key, { client: body.client, at: now() });
+      broadcast();
+      return { claims: liveClaims() };
+    },
+
+    "DELETE /api/claims": (body, key) => {
+      if (claims.get(key)?.client === body.client) claims.delete(key);
+      broadcast();
+      return { claims: liveClaims() };
+    },
+
+    "POST /api/scores": (body, key) => {
+      const match = findMatch(store.data, key);
+      if (!claimFor(key, body.client))
+        throw new HttpError(409, "Claim the match before scoring it", {
+          claims: liveClaims(),
+        });
+      const slots = Array.isArray(body.slots) ? body.slots : [];
+      const notObjects = slots
+        .map((s, i) =>
+          isPlainObject(s) ? null : `slots[${i}]: must be an object`
+        )
+        .filter(Boolean);
+      if (notObjects.length)
+        throw new HttpError(400, "Invalid scores", { problems: notObjects });
+      const lineup = (list) =>
+        JSON.stringify(
+          list.map((s) =>
+            typeof s.participant === "object"
+              ? s.participant?.id ?? null
+              : s.participant ?? null
+          )
+        );
+      if (lineup(slots) !== lineup(match.slots))
+        throw new HttpError(409, "The match lineup changed", current());
+      const problems = slots.flatMap((s, i) =>
+        slotProblems(s, match, `slots[${i}]`)
+      );
+      if (problems.length)
+        throw new HttpError(400, "Invalid scores", { problems });
+      match.slots = match.slots.map((s, i) => ({
+        ...slots[i],
+        participant: s.participant,
+      }));
+      claims.set(key, { client: body.client, at: now() });
+      store.data.savedAt = new Date(now()).toISOString();
+      store.rev++;
+      changed();
+      return { rev: store.rev };
+    },
+  };
+
+  async function handleApi(req, res, url) {
+    if (req.method === "GET" && url.pathname === "/api/events") {
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+      res.write(`data: ${JSON.stringify(current())}\n\n`);
+      listeners.add(res);
+      req.on("close", () => listeners.delete(res));
+      return;
+    }
+    const [, , resource, round, match] = url.pathname.split("/");
+    const key = round && match ? `${round}/${match}` : null;
+    const route = routes[`${req.method} /api/${resource}`];
+    if (!route || (resource !== "state" && !key))
+      throw new HttpError(404, "Not found");
+    const body = req.method === "GET" ? {} : await readJson(req);
+    if (!isPlainObject(body))
+      throw new HttpError(400, "Expected a JSON object");
+    sendJson(res, 200, route(body, key && decodePath(key)));
+  }
+
+  function handleStatic(req, res, url) {
+    const rel = decodePath(url.pathname === "/" ? "/index.html" : url.pathname);
+    const file = path.resolve(root, `.${rel}`);
+    const type = STATIC_TYPES[path.extname(file).toLowerCase()];
+    const [top, ...rest] = path
+      .relative(path.resolve(root), file)
+      .split(path.sep);
+    const allowed = rest.length
+      ? STATIC_DIRS.includes(top)
+      : STATIC_FILES.includes(top);
+    if (!allowed || !type) return sendJson(res, 404, { error: "Not found" });
+    fs.readFile(file, (err, content) => {
+      if (err) return sendJson(res, 404, { error: "Not found" });
+      res.writeHead(200, { "Content-Type": type });
+      res.end(content);
+    });
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    try {
+      if (url.pathname.startsWith("/api/")) await handleApi(req, res, url);
+      else if (req.method === "GET") handleStatic(req, res, url);
+      else throw new HttpError(405, "Method not allowed");
+    } catch (e) {
+      if (!(e instanceof HttpError)) console.error(e);
+      const status = e instanceof HttpError ? e.status : 500;
+      sendJson(res, status, { error: e.message, ...e.body });
+    }
+  });
+  // End the event streams too, so close() doesn't wait on them
+  const close = server.close.bind(server);
+  server.close = (callback) => {
+    listeners.forEach((res) => res.end());
+    return close(callback);
+  };
+  return server;
+}
+
+/** The match or shoot-off with key "roundId/matchId" in a tournament. */
+function findMatch(data, key) {
+  const match = matchOrNull(data, key);
+  if (!match) throw new HttpError(404, `No match ${key}`);
+  return match;
+}
+
+function matchOrNull(data, key) {
+  const [roundId, matchId] = key.split("/");
+  const round = data?.rounds?.find((r) => r.id === roundId);
+  return round
+    ? [...(round.matches || []), ...(round.shootOffs || [])].find(
+        (m) => m.id === matchId
+      ) || null
+    : null;
+}
+
+function slotsJson(match) {
+  return JSON.stringify(match?.slots ?? null);
+}
+
+/** Problems with the scores in a slot of `match`, by the rules of
+ * validateTournamentData in app.js. `where` names the slot in messages.
+ */
+function slotProblems(slot, match, where) {
+  if (!isPlainObject(slot)) return [`${where}: must be an object`];
+  const problems = [];
+  const bad = (field, msg) => problems.push(`${where}.${field}: ${msg}`);
+  const { points, status, legs } = slot;
+  if (
+    points !== undefined &&
+    points !== null &&
+    (typeof points !== "number" || !Number.isFinite(points))
+  )
+    bad("points", "must be a number when present");
+  if (status !== undefined && !SLOT_STATUSES.includes(status))
+    bad("status", `must be one of ${SLOT_STATUSES.join(", ")}`);
+  if (legs !== undefined) {
+    if (
+      !Array.isArray(legs) ||
+      legs.length !== match.legs ||
+      legs.some((v) => v !== null && !Number.isFinite(v))
+    )
+      bad("legs", "must list a number or null for each of the match's legs");
+    else if (
+      typeof points === "number" &&
+      legs.every((v) => typeof v === "number") &&
+      legs.reduce((a, b) => a + b, 0) !== points
+    )
+      bad("points", "must be the sum of the slot's legs");
+  }
+  return problems;
+}
+
+/** Problems with an uploaded tournament, by the rules of
+ * validateTournamentData in app.js, so every client can load what the
+ * server keeps. Formats, tiebreak rules and score rules are left to the app.
+ */
+function tournamentProblems(data) {
+  const problems = [];
+  const bad = (where, msg) => problems.push(`${where}: ${msg}`);
+  if (!Array.isArray(data.participants)) bad("participants", "must be a list");
+  if (!Array.isArray(data.rounds)) bad("rounds", "must be a list");
+  if (
+    data.legs !== undefined &&
+    data.legs !== null &&
+    !isLegCount(data.legs, 2)
+  )
+    bad("legs", `must be a whole number from 2 to ${MAX_LEGS} when present`);
+  if (typeof data.seed !== "string" || !data.seed)
+    bad("seed", "must be a non-empty string");
+  if (!Number.isInteger(data.draws) || data.draws < 0)
+    bad("draws", "must be a whole number of at least 0");
+  if (problems.length) return problems;
+
+  const known = new Set();
+  data.participants.forEach((p, i) => {
+    const where = `participants[${i}]`;
+    if (!isPlainObject(p)) return bad(where, "must be an object");
+    if (typeof p.id !== "string" || !p.id)
+      bad(`${where}.id`, "must be a non-empty string");
+    else if (known.has(p.id)) bad(`${where}.id`, `duplicate id "${p.id}"`);
+    else known.add(p.id);
+    if (typeof p.name !== "string" || !p.name.trim())
+      bad(`${where}.name`, "must be a non-empty string");
+  });
+
+  data.rounds.forEach((r, rIdx) => {
+    const rPath = `rounds[${rIdx}]`;
+    if (!isPlainObject(r)) return bad(rPath, "must be an object");
+    if (typeof r.id !== "string" || !r.id)
+      bad(`${rPath}.id`, "must be a non-empty string");
+    if (typeof r.name !== "string" || !r.name)
+      bad(`${rPath}.name`, "must be a non-empty string");
+    if (typeof r.computed !== "boolean")
+      bad(`${rPath}.computed`, "must be true or false");
+    else if (!r.computed && rIdx < data.rounds.length - 1)
+      bad(`${rPath}.computed`, "only the last round may be uncomputed");
+    if (!Array.isArray(r.matches) || !r.matches.length)
+      return bad(`${rPath}.matches`, "must be a non-empty list");
+
+    const seenInRound = new Set();
+    r.matches.forEach((m, mIdx) => {
+      const mPath = `${rPath}.matches[${mIdx}]`;
+      if (!isPlainObject(m)) return bad(mPath, "must be an object");
+      if (typeof m.id !== "string" || !m.id)
+        bad(`${mPath}.id`, "must be a non-empty string");
+      if (m.legs !== undefined && !isLegCount(m.legs, 1))
+        bad(`${mPath}.legs`, `must be a whole number from 1 to ${MAX_LEGS}`);
+      if (!Array.isArray(m.slots) || !m.slots.length)
+        return bad(`${mPath}.slots`, "must be a non-empty list");
+      m.slots.forEach((sl, sIdx) => {
+        const sPath = `${mPath}.slots[${sIdx}]`;
+        problems.push(...slotProblems(sl, m, sPath));
+        if (!isPlainObject(sl)) return;
+        const p = sl.participant;
+        if (p === undefined || p === null) {
+          // Empty slots only exist while Round 1 is being filled by hand.
+          if (rIdx > 0 || r.computed) bad(`${sPath}.participant`, "is empty");
+          return;
+        }
+        if (!isPlainObject(p) || typeof p.id !== "string" || !p.id)
+          return bad(`${sPath}.participant`, "must be an object with an id");
+        if (p.name === "BYE") return;
+        if (!known.has(p.id))
+          bad(`${sPath}.participant`, `unknown participant id "${p.id}"`);
+        if (seenInRound.has(p.id))
+          bad(
+            `${sPath}.participant`,
+            `"${p.name || p.id}" appears twice in ${r.name}`
+          );
+        seenInRound.add(p.id);
+        if (r.computed && !sl.status && typeof sl.points !== "number")
+          bad(`${sPath}.points`, "missing in a computed round");
+      });
+    });
+
+    if (r.shootOffs === undefined) return;
+    if (!Array.isArray(r.shootOffs))
+      return bad(`${rPath}.shootOffs`, "must be a list when present");
+    r.shootOffs.forEach((so, soIdx) => {
+      const soPath = `${rPath}.shootOffs[${soIdx}]`;
+      if (!isPlainObject(so) || !Array.isArray(so.slots))
+        return bad(soPath, "must be an object with slots");
+      so.slots.forEach((sl, sIdx) => {
+        const where = `${soPath}.slots[${sIdx}]`;
+        problems.push(...slotProblems(sl, so, where));
+        const id = sl?.participant?.id;
+        if (!known.has(id))
+          bad(`${where}.participant`, `unknown participant id "${id}"`);
+      });
+    });
+  });
+  return problems;
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function isLegCount(n, min) {
+  return Number.isInteger(n) && n >= min && n <= MAX_LEGS;
+}
+
+function decodePath(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (e) {
+    throw new HttpError(400, "Malformed URL");
+  }
+}
+
+function loadStore(dataFile) {
+  try {
+    const saved = JSON.parse(fs.readFileSync(dataFile, "utf8"));
+    return { rev: Number(saved.rev) || 0, data: saved.data || null };
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`[server] ignoring ${dataFile}`, e);
+    return { rev: 0, data: null };
+  }
+}
+
+/** Write via a temporary file so a crash never leaves half a tournament. */
+function saveStore(dataFile, store) {
+  const tmp = `${dataFile}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store));
+  fs.renameSync(tmp, dataFile);
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Request too large"));
+        req.destroy();
+      } else chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+      } catch (e) {
+        reject(new HttpError(400, "Invalid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function parseArgs(argv) {
+  const opts = { port: 8080, data: "tournament-server.json" };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, "");
+    if (!(name in opts)) throw new Error(`Unknown option ${argv[i]}`);
+    opts[name] = argv[i + 1];
+  }
+  return opts;
+}
+
+if (require.main === module) {
+  const opts = parseArgs(process.argv.slice(2));
+  const dataFile = path.resolve(opts.data);
+  createSyncServer({ dataFile }).listen(Number(opts.port), () => {
+    console.log(`Kapsel VM server on http://localhost:${opts.port}/`);
+    console.log(`Tournament stored in ${dataFile}`);
+  });
+}
+
+module.exports = { createSyncServer, findMatch };
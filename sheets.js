@@ -1,54 +1,394 @@
-// sheets.js – Fetch participants from a published-to-web Google Sheet (CSV)
+// sheets.js – Fetch participants from a published-to-web Google Sheet (CSV),
+// any CSV URL, or a local CSV/TSV/JSON file.
 // Supported CSV headers (case-insensitive):
 // - Name / Participant / Participants  -> participant name
 // - Flag / Country / Countries         -> flag URL
+// - Section / Seat / Seats             -> seeding section (optional)
+// - ID / Player ID / Participant ID    -> stable participant id (optional)
+// Comma, semicolon and tab delimited files are accepted.
+//
+// A participant source is a plain object:
+// - { type: "url", url, gid? }   published CSV / Google Sheets URL (+ tab)
+// - { type: "file", name, text } contents of a local file picked by the user
 
-// Default Google Sheets (published) CSV to use when user chooses "Load".
+// Default Google Sheets (published) CSV to use when no source is configured.
 const DEFAULT_SHEET_CSV_URL =
   "https://docs.google.com/spreadsheets/d/e/2PACX-1vSac9m1rxVUX63yWLU6cOOBVGxFRhqiNctV8enmlSSB0QsrGSAh2OVCbF4kOrVwwMsf8mksijRvda6l/pub?output=csv";
 
-/** Parse CSV text to rows (very light parser, expects no embedded commas in fields). */
-function parseCsv(text) {
-  return text
-    .split(/\r?\n/)
-    .map((line) => line.split(",").map((c) => c.trim()))
-    .filter((row) => row.length && row.some((c) => c !== ""));
+const CSV_DELIMITERS = [",", ";", "\t"];
+
+/** Guess the delimiter from the first record: the candidate that occurs most
+ * often outside quotes wins, comma on ties. Excel in e.g. Danish locales
+ * writes semicolons, and "TSV" exports use tabs.
+ */
+function detectCsvDelimiter(text) {
+  const counts = new Map(CSV_DELIMITERS.map((d) => [d, 0]));
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (ch === "\n" || ch === "\r")) break;
+    else if (!inQuotes && counts.has(ch)) counts.set(ch, counts.get(ch) + 1);
+  }
+  let best = ",";
+  counts.forEach((n, d) => {
+    if (n > counts.get(best)) best = d;
+  });
+  return best;
+}
+
+/** Parse CSV text to rows following RFC 4180: quoted fields may contain
+ * delimiters, line breaks and doubled quotes (""). A UTF-8 BOM is dropped,
+ * unquoted fields are trimmed, and the delimiter is detected unless given.
+ * Every record is returned, including blank ones, so row N of the result is
+ * line N of the spreadsheet.
+ */
+function parseCsv(text, delimiter) {
+  const src = String(text).replace(/^\uFEFF/, "");
+  const delim = delimiter || detectCsvDelimiter(src);
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false; // current field started with a quote
+  let inQuotes = false;
+
+  const endField = () => {
+    row.push(quoted ? field : field.trim());
+    field = "";
+    quoted = false;
+  };
+  const endRow = () => {
+    endField();
+    rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch !== '"') field += ch;
+      else if (src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else inQuotes = false;
+    } else if (ch === '"' && field.trim() === "" && !quoted) {
+      // Opening quote (leading spaces before it are ignored).
+      field = "";
+      quoted = true;
+      inQuotes = true;
+    } else if (ch === delim) {
+      endField();
+    } else if (ch === "\r" || ch === "\n") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      endRow();
+    } else if (!quoted) {
+      field += ch;
+    }
+    // Text after a closing quote (malformed input) is dropped.
+  }
+  // A final line break doesn't start another record.
+  if (field !== "" || quoted || row.length) endRow();
+  return rows;
+}
+
+const isBlankRow = (row) => row.every((c) => c === "");
+
+// Header patterns for the columns we understand (case-insensitive).
+const CSV_COLUMNS = {
+  name: /^(name|participant|participants)$/i,
+  flag: /^(flag|flagurl|country|countries)$/i,
+  section: /^(section|seat|seats)$/i,
+  id: /^(id|player ?id|participant ?id)$/i,
+};
+
+/** 32-bit FNV-1a hash of a string, as base36. */
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(36);
+}
+
+/** Case-, accent- and whitespace-insensitive form of a name. */
+function normalizeName(name) {
+  return String(name)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
 }
 
-/** Convert CSV rows to participants */
+/** Country key from a flag column value: ".../flags/dk.svg" -> "dk", so a
+ * switch between flag hosts or image formats keeps the same id.
+ */
+function countryKey(flag) {
+  const base = String(flag || "")
+    .trim()
+    .split(/[?#]/)[0]
+    .split("/")
+    .pop();
+  return base.replace(/\.[a-z0-9]+$/i, "").toLowerCase();
+}
+
+/** Id for a participant row: the sheet's ID column when present, otherwise a
+ * hash of the normalised name and country, so reloading the same sheet gives
+ * every player the same id.
+ */
+function participantIdFor(name, flag, explicitId) {
+  if (explicitId) return String(explicitId).trim();
+  return `p_${hashString(`${normalizeName(name)}|${countryKey(flag)}`)}`;
+}
+
+/** Convert CSV rows to participants.
+ * Returns { participants, warnings } where warnings are human-readable
+ * notes about the header and skipped or odd rows (numbered as in the sheet).
+ */
 function participantsFromCsvRows(rows) {
-  if (!rows.length) return [];
-  const [header, ...data] = rows;
-  // Accept a variety of header names for name and flag
-  const idxName = header.findIndex((h) =>
-    /^(name|participant|participants)$/i.test(h)
-  );
-  const idxFlag = header.findIndex((h) =>
-    /^(flag|country|countries)$/i.test(h)
-  );
+  const warnings = [];
+  const headerIdx = rows.findIndex((r) => !isBlankRow(r));
+  if (headerIdx < 0) return { participants: [], warnings };
+  const header = rows[headerIdx];
+  const find = (re) => header.findIndex((h) => re.test(h));
+  const idxName = find(CSV_COLUMNS.name);
+  const idxFlag = find(CSV_COLUMNS.flag);
+  const idxSection = find(CSV_COLUMNS.section);
+  const idxId = find(CSV_COLUMNS.id);
   // Fallbacks: first column -> name, second column -> flag
   const nameIdx = idxName >= 0 ? idxName : 0;
   const flagIdx = idxFlag >= 0 ? idxFlag : 1;
-  const idxSection = header.findIndex((h) => /^(section|seat|seats)$/i.test(h));
-
-  return data
-    .map((r, i) => {
-      const name = (r[nameIdx] || "").trim();
-      const flag = (r[flagIdx] || "").trim();
-      const sectionRaw = idxSection >= 0 ? r[idxSection] || "" : "";
-      const section = sectionRaw === "" ? undefined : String(sectionRaw).trim();
-      if (!name) return null;
-      return {
-        id: `p_${i}_${Math.random().toString(36).slice(2)}`,
-        name,
-        flagUrl: flag || undefined,
-        section,
-      };
+  if (idxName < 0)
+    warnings.push(
+      `No Name/Participants column found; using column "${header[0]}" for names.`
+    );
+
+  if (idxFlag < 0 && header.length > 1)
+    warnings.push(
+      `No Flag/Country column found; using column "${header[1]}" for flags.`
+    );
+
+  const used = new Set([nameIdx, flagIdx, idxSection, idxId]);
+  header.forEach((h, i) => {
+    if (!used.has(i) && h !== "")
+      warnings.push(`Unknown column "${h}" ignored.`);
+  });
+
+  const participants = [];
+  const rowById = new Map(); // id -> sheet row that claimed it
+  const rowsByName = new Map(); // normalised name -> first sheet row
+  rows.slice(headerIdx + 1).forEach((r, i) => {
+    const line = headerIdx + i + 2;
+    if (isBlankRow(r)) return;
+    if (r.length > header.length && r.slice(header.length).some((c) => c))
+      warnings.push(
+        `Row ${line}: more values than header columns; extra values ignored.`
+      );
+    const name = (r[nameIdx] || "").trim();
+    const flag = (r[flagIdx] || "").trim();
+    const sectionRaw = idxSection >= 0 ? r[idxSection] || "" : "";
+    const section = sectionRaw === "" ? undefined : String(sectionRaw).trim();
+    if (!name) {
+      warnings.push(`Row ${line}: missing name, row skipped.`);
+      return;
+    }
+    const baseId = participantIdFor(name, flag, idxId >= 0 ? r[idxId] : "");
+    let id = baseId;
+    if (rowById.has(id)) {
+      // Same id twice (duplicate ID cell, or same name and country): keep
+      // both players but number the later ones, and say so.
+      let n = 2;
+      while (rowById.has(`${baseId}-${n}`)) n++;
+      id = `${baseId}-${n}`;
+      warnings.push(
+        `Row ${line}: "${name}" has the same id as row ${rowById.get(
+          baseId
+        )}; using id "${id}". Add a unique ID column to keep ids stable.`
+      );
+    } else {
+      const key = normalizeName(name);
+      if (rowsByName.has(key))
+        warnings.push(
+          `Row ${line}: name "${name}" is also used in row ${rowsByName.get(
+            key
+          )}; they are told apart by country.`
+        );
+      else rowsByName.set(key, line);
+    }
+    rowById.set(id, line);
+    participants.push({
+      id,
+      name,
+      flagUrl: flag || undefined,
+      section,
+    });
+  });
+  return { participants, warnings };
+}
+
+/** Edit distance between two strings (insert/delete/substitute = 1). */
+function levenshtein(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// Names of the same country this close (after normalising) are treated as a
+// rename/typo fix of the same player when their ids differ: at most this
+// share of the longer name's characters may differ, so short names must
+// match exactly.
+const RENAME_MAX_SHARE = 0.2;
+
+/** Whether `from` and `to` are close enough to be the same player: the same
+ * name under another flag, or a small name fix under the same flag. Returns
+ * the name distance, or null when they are different players.
+ */
+function renameDistance(from, to) {
+  const a = normalizeName(from.name);
+  const b = normalizeName(to.name);
+  if (a === b) return 0;
+  if (countryKey(from.flagUrl) !== countryKey(to.flagUrl)) return null;
+  const d = levenshtein(a, b);
+  return d <= Math.floor(RENAME_MAX_SHARE * Math.max(a.length, b.length))
+    ? d
+    : null;
+}
+
+/** Compare the current participant list with a freshly loaded one.
+ * Players are matched by id first; leftovers are paired as the same player
+ * when renameDistance allows it (a typo fix changes a name-derived id).
+ * Returns { added, removed, changed } where each `changed`
+ * entry is { from, to, fields } with fields among "name", "flagUrl",
+ * "section".
+ */
+function diffParticipants(current, incoming) {
+  const FIELDS = ["name", "flagUrl", "section"];
+  const incomingById = new Map(incoming.map((p) => [p.id, p]));
+  const pairs = [];
+  const removed = [];
+  current.forEach((p) => {
+    const match = incomingById.get(p.id);
+    if (match) {
+      pairs.push([p, match]);
+      incomingById.delete(p.id);
+    } else removed.push(p);
+  });
+
+  // Pair leftovers by closest name, best matches first.
+  const candidates = [];
+  removed.forEach((from) =>
+    incomingById.forEach((to) => {
+      const d = renameDistance(from, to);
+      if (d !== null) candidates.push({ from, to, d });
     })
-    .filter(Boolean);
+  );
+  candidates.sort((x, y) => x.d - y.d);
+  const pairedFrom = new Set();
+  candidates.forEach(({ from, to }) => {
+    if (pairedFrom.has(from) || !incomingById.has(to.id)) return;
+    pairedFrom.add(from);
+    incomingById.delete(to.id);
+    pairs.push([from, to]);
+  });
+
+  const order = new Map(current.map((p, i) => [p, i]));
+  const changed = pairs
+    .sort((x, y) => order.get(x[0]) - order.get(y[0]))
+    .map(([from, to]) => ({
+      from,
+      to,
+      fields: FIELDS.filter((f) => (from[f] || "") !== (to[f] || "")),
+    }))
+    .filter((c) => c.fields.length);
+  return {
+    added: incoming.filter((p) => incomingById.has(p.id)),
+    removed: removed.filter((p) => !pairedFrom.has(p)),
+    changed,
+  };
+}
+
+/** Turn a Google Sheets link into its CSV download URL, selecting the tab
+ * `gid` (or the gid already in the link). Published links (/d/e/…/pub) stay
+ * published; editor links use /export. Other URLs are returned unchanged.
+ */
+function buildSheetCsvUrl(url, gid) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch (e) {
+    return url; // relative path such as assets/sample.csv
+  }
+  if (u.hostname !== "docs.google.com") return url;
+  const tab =
+    String(gid ?? "").trim() ||
+    u.searchParams.get("gid") ||
+    (/gid=(\d+)/.exec(u.hash) || [])[1] ||
+    "";
+  const published = /^\/spreadsheets\/d\/e\/([^/]+)/.exec(u.pathname);
+  const doc = /^\/spreadsheets\/d\/([^/]+)/.exec(u.pathname);
+  let out;
+  if (published) {
+    out = new URL(
+      `https://docs.google.com/spreadsheets/d/e/${published[1]}/pub`
+    );
+    out.searchParams.set("output", "csv");
+    if (tab) {
+      out.searchParams.set("gid", tab);
+      out.searchParams.set("single", "true");
+    }
+  } else if (doc) {
+    out = new URL(`https://docs.google.com/spreadsheets/d/${doc[1]}/export`);
+    out.searchParams.set("format", "csv");
+    if (tab) out.searchParams.set("gid", tab);
+  } else {
+    return url;
+  }
+  return out.toString();
 }
 
-/** Fetch participants via a CSV URL */
+/** Convert parsed JSON (a list of participant objects, or an object with a
+ * `participants` list such as a tournament file) to CSV-style rows so the
+ * same column rules and warnings apply.
+ */
+function rowsFromJson(data) {
+  const list = Array.isArray(data) ? data : data && data.participants;
+  if (!Array.isArray(list))
+    throw new Error("JSON must be a list of participants");
+  const header = [];
+  list.forEach((item) => {
+    if (item && typeof item === "object")
+      Object.keys(item).forEach((k) => {
+        if (!header.includes(k)) header.push(k);
+      });
+  });
+  const cell = (v) => (v === null || v === undefined ? "" : String(v).trim());
+  const rows = list.map((item) =>
+    header.map((k) => cell(item && typeof item === "object" ? item[k] : ""))
+  );
+  return [header, ...rows];
+}
+
+/** Parse participants from file contents; the format comes from the file
+ * extension (.json, .tsv, otherwise CSV with delimiter detection).
+ */
+function participantsFromText(text, fileName = "") {
+  const ext = (/\.([a-z0-9]+)$/i.exec(fileName) || [])[1]?.toLowerCase();
+  if (ext === "json")
+    return participantsFromCsvRows(rowsFromJson(JSON.parse(text)));
+  return participantsFromCsvRows(
+    parseCsv(text, ext === "tsv" ? "\t" : undefined)
+  );
+}
+
+/** Fetch participants via a CSV URL; resolves to { participants, warnings } */
 async function fetchParticipantsFromCsvUrl(url) {
   const res = await fetch(url);
   if (!res.ok) throw new Error(`Failed to fetch CSV: ${res.status}`);
@@ -57,15 +397,21 @@ async function fetchParticipantsFromCsvUrl(url) {
   return participantsFromCsvRows(rows);
 }
 
-/** Fetch participants from the default published Google Sheet CSV */
-async function fetchParticipantsFromDefaultSheet() {
-  return fetchParticipantsFromCsvUrl(DEFAULT_SHEET_CSV_URL);
+/** Load participants from a source object (see top of file); without one the
+ * default published sheet is used.
+ */
+async function fetchParticipantsFromSource(source) {
+  if (source && source.type === "file")
+    return participantsFromText(source.text, source.name);
+  const url = source && source.url ? source.url : DEFAULT_SHEET_CSV_URL;
+  return fetchParticipantsFromCsvUrl(
+    buildSheetCsvUrl(url, source && source.gid)
+  );
 }
 
-/** Fetch participants from a local sample CSV */
-async function fetchParticipantsFromSample() {
-  const res = await fetch("assets/sample.csv");
-  const text = await res.text();
-  const rows = parseCsv(text);
-  return participantsFromCsvRows(rows);
+/** Short human-readable description of a source for buttons and labels. */
+function describeSource(source) {
+  if (source && source.type === "file") return `file ${source.name}`;
+  if (!source || !source.url) return "the default Google Sheet";
+  return source.gid ? `${source.url} (tab ${source.gid})` : source.url;
 }
@@ -0,0 +1,201 @@
+const fs = require("fs");
+const vm = require("vm");
+
+const sheetsCode = fs.readFileSync("./sheets.js", "utf8");
+
+// sheets.js only needs fetch, which these tests don't exercise
+const sandbox = { console, URL };
+vm.createContext(sandbox);
+vm.runInContext(sheetsCode, sandbox);
+
+let failures = 0;
+function check(label, actual, expected) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) {
+    console.log("ok  ", label);
+  } else {
+    failures++;
+    console.log("FAIL", label, "\n  got     ", a, "\n  expected", e);
+  }
+}
+
+console.log("Running CSV parser tests...");
+
+check(
+  "quoted field with comma",
+  sandbox.parseCsv('Name,Flag\r\n"Smith, John",x.svg\r\n'),
+  [
+    ["Name", "Flag"],
+    ["Smith, John", "x.svg"],
+  ]
+);
+
+check(
+  "escaped quotes and embedded newline",
+  sandbox.parseCsv('Name,Note\n"Ann ""The Cap""","two\nlines"\n'),
+  [
+    ["Name", "Note"],
+    ['Ann "The Cap"', "two\nlines"],
+  ]
+);
+
+check(
+  "BOM is stripped and unquoted fields trimmed",
+  sandbox.parseCsv("\uFEFFName , Flag\n  Bo  ,  y.svg "),
+  [
+    ["Name", "Flag"],
+    ["Bo", "y.svg"],
+  ]
+);
+
+check(
+  "semicolon delimiter detected",
+  sandbox.parseCsv('Navn;Flag\n"Jensen; Ole";dk.svg\nÆble;'),
+  [
+    ["Navn", "Flag"],
+    ["Jensen; Ole", "dk.svg"],
+    ["Æble", ""],
+  ]
+);
+
+check("tab delimiter detected", sandbox.parseCsv("Name\tFlag\nA, B\tz.svg"), [
+  ["Name", "Flag"],
+  ["A, B", "z.svg"],
+]);
+
+check("blank records are kept so rows line up", sandbox.parseCsv("a\n\nb"), [
+  ["a"],
+  [""],
+  ["b"],
+]);
+
+const { participants, warnings } = sandbox.participantsFromCsvRows(
+  sandbox.parseCsv(
+    'Participants,Countries,Section,Email\n"Smith, John",gb.svg,1,a@b\n,us.svg,2,\n\nAda,,3,'
+  )
+);
+check(
+  "participants parsed",
+  participants.map((p) => [p.name, p.flagUrl, p.section]),
+  [
+    ["Smith, John", "gb.svg", "1"],
+    ["Ada", undefined, "3"],
+  ]
+);
+check("warnings list unknown column and missing name", warnings, [
+  'Unknown column "Email" ignored.',
+  "Row 3: missing name, row skipped.",
+]);
+
+console.log("\nRunning participant id tests...");
+
+const load = (csv) => sandbox.participantsFromCsvRows(sandbox.parseCsv(csv));
+const first = load("Name,Flag\nÅse Berg,https://flagcdn.com/no.svg\nBo,dk.png");
+const again = load(
+  "Name,Flag\nBo,https://other.cdn/dk.svg\n  åse   BERG ,https://flagcdn.com/no.svg"
+);
+check(
+  "ids survive reordering, case, accents and flag host",
+  again.participants.map((p) => p.id),
+  [first.participants[1].id, first.participants[0].id]
+);
+check(
+  "ID column is used as-is",
+  load("ID,Name\n17,Ada\n18,Bo").participants.map((p) => p.id),
+  ["17", "18"]
+);
+const dupes = load("Name,Flag\nAda,gb.svg\nAda,gb.svg\nAda,us.svg");
+check(
+  "duplicates get numbered ids",
+  dupes.participants.map((p) => p.id.replace(/^p_[a-z0-9]+/, "p_HASH")),
+  ["p_HASH", "p_HASH-2", "p_HASH"]
+);
+check("duplicates are reported", dupes.warnings.length, 2);
+
+console.log("\nRunning re-sync diff tests...");
+
+const before = load(
+  "Name,Flag,Section\nAda,gb.svg,1\nAlan Turnig,gb.svg,2\nBo,dk.svg,3\nCy,us.svg,4"
+).participants;
+const after = load(
+  "Name,Flag,Section\nAda,gb.svg,2\nAlan Turing,gb.svg,2\nBo,se.svg,3\nDee,fi.svg,1"
+).participants;
+const diff = sandbox.diffParticipants(before, after);
+check(
+  "added and removed",
+  [diff.added.map((p) => p.name), diff.removed.map((p) => p.name)],
+  [["Dee"], ["Cy"]]
+);
+check(
+  "typo fix, flag and section changes keep the existing player",
+  diff.changed.map((c) => [c.from.name, c.fields]),
+  [
+    ["Ada", ["section"]],
+    ["Alan Turnig", ["name"]],
+    ["Bo", ["flagUrl"]],
+  ]
+);
+const lookalikes = sandbox.diffParticipants(
+  load("Name,Flag\nAda,gb.svg\nAnna Berg,se.svg\nAlexander Smith,us.svg")
+    .participants,
+  load("Name,Flag\nAva,gb.svg\nAnna Berg,se.svg\nAlexandra Smith,gb.svg")
+    .participants
+);
+check(
+  "short names and another country's players aren't taken for a rename",
+  [lookalikes.changed.length, lookalikes.removed.map((p) => p.name)],
+  [0, ["Ada", "Alexander Smith"]]
+);
+
+console.log("\nRunning participant source tests...");
+
+check(
+  "published sheet link gets tab gid",
+  sandbox.buildSheetCsvUrl(
+    "https://docs.google.com/spreadsheets/d/e/2PACX-abc/pubhtml",
+    "123"
+  ),
+  "https://docs.google.com/spreadsheets/d/e/2PACX-abc/pub?output=csv&gid=123&single=true"
+);
+check(
+  "editor link uses export with gid from hash",
+  sandbox.buildSheetCsvUrl(
+    "https://docs.google.com/spreadsheets/d/XYZ/edit#gid=42"
+  ),
+  "https://docs.google.com/spreadsheets/d/XYZ/export?format=csv&gid=42"
+);
+check(
+  "other URLs unchanged",
+  sandbox.buildSheetCsvUrl("assets/sample.csv", "5"),
+  "assets/sample.csv"
+);
+
+const fromJson = sandbox.participantsFromText(
+  JSON.stringify([
+    { name: "Ada", flagUrl: "gb.svg", section: 1 },
+    { name: "Bo", country: "dk.svg" },
+  ]),
+  "players.json"
+);
+check(
+  "JSON list of participants",
+  fromJson.participants.map((p) => [p.name, p.flagUrl, p.section]),
+  [
+    ["Ada", "gb.svg", "1"],
+    ["Bo", undefined, undefined],
+  ]
+);
+check("JSON extra key reported", fromJson.warnings, [
+  'Unknown column "country" ignored.',
+]);
+check(
+  "TSV file by extension",
+  sandbox
+    .participantsFromText("Name\tFlag\nA; B\tx.svg", "list.tsv")
+    .participants.map((p) => p.name),
+  ["A; B"]
+);
+
+console.log(failures ? `\n${failures} failure(s)` : "\nCSV tests passed");
+process.exit(failures ? 1 : 0);
@@ -0,0 +1,169 @@
+const fs = require("fs");
+const vm = require("vm");
+
+const sheetsCode = fs.readFileSync("./sheets.js", "utf8");
+const appCode = fs.readFileSync("./app.js", "utf8");
+
+// Minimal DOM mock used by app.js
+const elements = {};
+function makeEl() {
+  return {
+    innerHTML: "",
+    textContent: "",
+    disabled: false,
+    value: "",
+    children: [],
+    className: "",
+    appendChild(child) {
+      this.children.push(child);
+    },
+    remove() {},
+    addEventListener() {},
+    querySelector() {
+      return null;
+    },
+    style: {},
+  };
+}
+const sandbox = {
+  console: { ...console, log() {} },
+  setTimeout,
+  clearTimeout,
+  document: {
+    body: { appendChild() {} },
+    querySelector(sel) {
+      if (!elements[sel]) elements[sel] = makeEl();
+      return elements[sel];
+    },
+    querySelectorAll() {
+      return [];
+    },
+    createElement() {
+      return makeEl();
+    },
+  },
+  window: { addEventListener() {} },
+  getComputedStyle() {
+    return { paddingTop: "0px" };
+  },
+  alert() {},
+  confirm() {
+    return true;
+  },
+  btnNext: makeEl(),
+  btnReset: makeEl(),
+  URL,
+};
+vm.createContext(sandbox);
+// The draw balances countries with sheets.js' countryKey, so load both.
+vm.runInContext(sheetsCode, sandbox);
+vm.runInContext(appCode, sandbox);
+
+let failures = 0;
+function check(label, actual, expected) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) {
+    console.log("ok  ", label);
+  } else {
+    failures++;
+    console.log("FAIL", label, "\n  got     ", a, "\n  expected", e);
+  }
+}
+
+const countries = ["dk", "se", "no", "fi", "de", "gb"];
+const players = [];
+for (let i = 0; i < 24; i++)
+  players.push({
+    id: `p${i}`,
+    name: `P${i}`,
+    flagUrl: `https://flagcdn.com/${countries[i % 6]}.svg`,
+    section: String((i % 4) + 1),
+  });
+const run = (code) => vm.runInContext(code, sandbox);
+run(`state.participants = ${JSON.stringify(players)}; state.seed = "draw"`);
+const sections = (round) =>
+  round.matches.map((m) =>
+    m.slots
+      .map((s) => s.participant.section)
+      .sort()
+      .join("")
+  );
+
+console.log("Running Round 1 draw tests...");
+
+const drawn = sandbox.seededStep(sandbox.drawFirstRound);
+check("six groups of four", sections(drawn), Array(6).fill("1234"));
+check("no section clashes", sandbox.firstRoundClashes(drawn), []);
+check(
+  "countries spread out",
+  drawn.matches.every(
+    (m) =>
+      new Set(m.slots.map((s) => s.participant.flagUrl)).size === m.slots.length
+  ),
+  true
+);
+check(
+  "the draw replays from its seed",
+  JSON.stringify(sandbox.replayRound(0, drawn.seed)),
+  JSON.stringify(drawn)
+);
+
+const crowded = run(`
+  state.participants = ${JSON.stringify(players)}.map((p, i) => ({
+    ...p,
+    section: i < 8 ? "2" : "4",
+  }));
+  seededStep(drawFirstRound);
+`);
+check(
+  "unavoidable clashes are reported",
+  sandbox.firstRoundClashes(crowded).length,
+  2
+);
+
+console.log("\nRunning manual placement tests...");
+
+run(`state.participants = ${JSON.stringify(players)}`);
+run("state.rounds = [seededStep(drawFirstRound)]");
+const slotOf = (sec, mIdx) =>
+  run(
+    `state.rounds[0].matches[${mIdx}].slots.findIndex((s) => s.participant.section === "${sec}")`
+  );
+const at = (mIdx, sIdx) =>
+  run(`state.rounds[0].matches[${mIdx}].slots[${sIdx}].participant`);
+const a = at(0, slotOf("2", 0));
+const b = at(1, slotOf("2", 1));
+check(
+  "players of one section swap between matches",
+  [sandbox.placeInFirstRound(a, 1, slotOf("2", 1)), at(0, slotOf("2", 0)).id],
+  [true, b.id]
+);
+check(
+  "a move that clashes is refused",
+  sandbox.placeInFirstRound(at(0, slotOf("3", 0)), 1, slotOf("2", 1)),
+  false
+);
+
+console.log("\nRunning Round 1 validation tests...");
+
+// The swap above put two players of one country together.
+const afterSwap = run("validateFirstRound(state.rounds[0])");
+check(
+  "same-country pairs only warn",
+  [
+    afterSwap.errors,
+    afterSwap.warnings.length > 0 &&
+      afterSwap.warnings.every((w) => w.endsWith("share a country")),
+  ],
+  [[], true]
+);
+const removed = at(0, 0);
+run("state.rounds[0].matches[0].slots[0].participant = undefined");
+check(
+  "an empty slot and its player are errors",
+  run("validateFirstRound(state.rounds[0])").errors,
+  ["Match A: 1 empty slot(s)", `${removed.name} is not in any match`]
+);
+console.log(failures ? `\n${failures} failure(s)` : "\nDraw tests passed");
+process.exit(failures ? 1 : 0);
@@ -0,0 +1,1031 @@
+const fs = require("fs");
+const vm = require("vm");
+
+const sheetsCode = fs.readFileSync("./sheets.js", "utf8");
+const appCode = fs.readFileSync("./app.js", "utf8");
+
+// Minimal DOM mock used by app.js
+const elements = {};
+function makeEl() {
+  return {
+    innerHTML: "",
+    textContent: "",
+    disabled: false,
+    value: "",
+    children: [],
+    className: "",
+    appendChild(child) {
+      this.children.push(child);
+    },
+    remove() {},
+    addEventListener() {},
+    querySelector() {
+      return null;
+    },
+    style: {},
+  };
+}
+const sandbox = {
+  console: { ...console, log() {} },
+  setTimeout,
+  clearTimeout,
+  document: {
+    body: { appendChild() {} },
+    querySelector(sel) {
+      if (!elements[sel]) elements[sel] = makeEl();
+      return elements[sel];
+    },
+    querySelectorAll() {
+      return [];
+    },
+    createElement() {
+      return makeEl();
+    },
+  },
+  window: { addEventListener() {} },
+  getComputedStyle() {
+    return { paddingTop: "0px" };
+  },
+  alert() {},
+  confirm() {
+    return true;
+  },
+  btnNext: makeEl(),
+  btnReset: makeEl(),
+  fetchParticipantsFromSource: async () => ({ participants: [], warnings: [] }),
+  describeSource: () => "test source",
+};
+vm.createContext(sandbox);
+// Player profiles read countries with sheets.js' countryKey, so load both.
+vm.runInContext(sheetsCode, sandbox);
+vm.runInContext(appCode, sandbox);
+
+let failures = 0;
+function check(label, actual, expected) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) {
+    console.log("ok  ", label);
+  } else {
+    failures++;
+    console.log("FAIL", label, "\n  got     ", a, "\n  expected", e);
+  }
+}
+
+function makeParticipant(name) {
+  return { id: name.toLowerCase().replace(/\s+/g, "_"), name, flagUrl: "" };
+}
+function makeMatch(names, points) {
+  return {
+    id: "m_" + names[0],
+    slots: names.map((n, i) => ({
+      participant: makeParticipant(n),
+      points: points[i],
+    })),
+    isComplete: false,
+  };
+}
+const namesOf = (round) =>
+  round.matches.map((m) => m.slots.map((s) => s.participant.name));
+
+console.log("Running tournament format tests...");
+
+check(
+  "default preset is valid",
+  sandbox.validateFormat(vm.runInContext("KAPSEL_VM_FORMAT", sandbox)),
+  []
+);
+
+check(
+  "broken format is explained",
+  sandbox.validateFormat({
+    id: "x",
+    name: "X",
+    firstRound: { name: "R1", groups: 0 },
+    stages: [{ name: "R", advance: [{ place: 0 }], groups: {}, mixing: "odd" }],
+  }),
+  [
+    "firstRound: needs a name and a positive number of groups",
+    "stages[0].advance[0].place: must be a positive integer",
+    'stages[0].groups: needs a positive "count" or "balanced": true',
+    "stages[0].mixing: must be one of sequential, composition, rotate",
+  ]
+);
+
+// Round 1 of 6 matches -> 3 matches with 2 firsts, 2 seconds and 1 of the
+// best 3 thirds, never two players from the same Round 1 match.
+const r1 = { id: "r1", name: "Round 1", computed: true, matches: [] };
+for (let i = 0; i < 6; i++) {
+  const n = ["A", "B", "C", "D", "E", "F"][i];
+  r1.matches.push(
+    makeMatch([n + "1", n + "2", n + "3", n + "4"], [9, 7, 2 + i, 0])
+  );
+}
+const r2 = sandbox.buildNextRound(r1, 0);
+check(
+  "Round 2 name and stage",
+  [r2.name, r2.stage],
+  ["Round 2", "round2-from-six"]
+);
+check(
+  "best thirds advance",
+  namesOf(r2)
+    .flat()
+    .filter((n) => n.endsWith("3"))
+    .sort(),
+  ["D3", "E3", "F3"]
+);
+check(
+  "no rematches inside a Round 2 match",
+  namesOf(r2).map((g) => new Set(g.map((n) => n[0])).size === g.length),
+  [true, true, true]
+);
+
+// A custom format: groups of 4, top 2 advance until 4 remain.
+const simple = {
+  id: "simple",
+  name: "Top two",
+  firstRound: { name: "Heats", groups: 4 },
+  finalName: "Final",
+  stages: [
+    {
+      id: "top2",
+      name: "Heat round {n}",
+      advance: [{ place: 1 }, { place: 2 }],
+      groups: { balanced: true },
+      finalWhen: 4,
+    },
+  ],
+};
+check("custom format is valid", sandbox.validateFormat(simple), []);
+const heats = {
+  id: "h",
+  name: "Heats",
+  computed: true,
+  matches: [
+    makeMatch(["A", "B", "C", "D"], [1, 2, 3, 4]),
+    makeMatch(["E", "F", "G", "H"], [4, 3, 2, 1]),
+  ],
+};
+const fin = sandbox.buildNextRound(heats, 0, simple);
+check(
+  "custom format builds its final",
+  [fin.name, fin.final, namesOf(fin)],
+  ["Final", true, [["D", "E", "C", "F"]]]
+);
+
+check(
+  "unscored round gives no next round",
+  sandbox.buildNextRound(
+    { ...heats, matches: [makeMatch(["A", "B"], [1, undefined])] },
+    0,
+    simple
+  ),
+  null
+);
+
+// Two heats whose top two would meet again in sequential order; swapping the
+// winners splits them up.
+const pairs = {
+  id: "pairs",
+  name: "Pairs",
+  firstRound: { name: "Heats", groups: 2 },
+  stages: [
+    {
+      id: "split",
+      name: "Round {n}",
+      advance: [{ place: 1 }, { place: 2 }],
+      poolOrder: "match",
+      groups: { count: 2 },
+    },
+  ],
+};
+const heatsR = {
+  id: "hr",
+  name: "Heats",
+  computed: true,
+  matches: [
+    makeMatch(["A", "B", "C", "D"], [4, 3, 2, 1]),
+    makeMatch(["E", "F", "G", "H"], [4, 3, 2, 1]),
+  ],
+};
+const split = sandbox.buildNextRound(heatsR, 0, pairs);
+check(
+  "rematches are swapped apart",
+  [namesOf(split), sandbox.countRepeats(split, [heatsR])],
+  [
+    [
+      ["E", "B"],
+      ["A", "F"],
+    ],
+    0,
+  ]
+);
+
+console.log("\nRunning tiebreak tests...");
+
+const setChain = (chain) =>
+  vm.runInContext(`state.tiebreaks = ${JSON.stringify(chain)}`, sandbox);
+const tied = makeMatch(["Bo", "Ada", "Cy", "Dee"], [5, 5, 2, 5]);
+tied.slots[0].participant.section = "1";
+tied.slots[1].participant.section = "3";
+const placed = (m) =>
+  sandbox.computePlacements(m).placements.map((p) => p.name);
+
+check("default chain falls back to name", placed(tied), [
+  "Ada",
+  "Bo",
+  "Dee",
+  "Cy",
+]);
+setChain(["seed", "name"]);
+check("seed ranks lower section first", placed(tied), [
+  "Bo",
+  "Ada",
+  "Dee",
+  "Cy",
+]);
+check(
+  "each tie records its deciding rule",
+  sandbox.computePlacements(tied).tiebreaks.map((t) => t.rule),
+  ["seed", "seed"]
+);
+
+setChain(["headToHead", "name"]);
+const earlier = makeMatch(["Dee", "Ada"], [9, 1]);
+const ctx = { rounds: [{ id: "r0", matches: [earlier] }], roundIndex: 1 };
+check(
+  "head-to-head uses the earlier meeting",
+  sandbox
+    .computePlacements(makeMatch(["Ada", "Dee", "Cy"], [5, 5, 2]), ctx)
+    .placements.map((p) => p.name),
+  ["Dee", "Ada", "Cy"]
+);
+
+setChain(["draw"]);
+const drawn = placed(tied);
+check("draw is reproducible", placed(tied), drawn);
+
+// Thirds tied on 4 points for the last wildcard place
+setChain(["name"]);
+const cut = { ...r1 };
+cut.matches = r1.matches.map((m, i) =>
+  makeMatch(
+    m.slots.map((s) => s.participant.name),
+    [9, 7, [1, 2, 4, 4, 4, 4][i], 0]
+  )
+);
+const cutRound = sandbox.buildNextRound(cut, 0);
+check("wildcard cut tie is recorded", cutRound.tiebreaks, [
+  { place: 3, points: 4, ids: ["e3", "f3"], rule: "name" },
+]);
+setChain(null);
+
+console.log("\nRunning shoot-off tests...");
+
+const level = sandbox.buildNextRound(cut, 0);
+check("default chain asks for a shoot-off at the cut", level.tiebreaks, [
+  {
+    place: 3,
+    points: 4,
+    ids: ["c3", "d3", "e3", "f3"],
+    spots: 3,
+    rule: "shootOff",
+    pending: true,
+  },
+]);
+cut.shootOffs = [sandbox.createShootOff(level.tiebreaks[0])];
+cut.shootOffs[0].slots.forEach((s, i) => (s.points = [7, 1, 5, 6][i]));
+const settled = sandbox.buildNextRound(cut, 0);
+check(
+  "scored shoot-off decides the wildcards",
+  [
+    namesOf(settled)
+      .flat()
+      .filter((n) => n.endsWith("3"))
+      .sort(),
+    settled.tiebreaks.map((t) => [t.ids, t.rule]),
+  ],
+  [["C3", "E3", "F3"], [[["e3", "d3"], "shootOff"]]]
+);
+cut.shootOffs[0].slots[1].points = 5;
+check(
+  "a level shoot-off is still pending",
+  sandbox.buildNextRound(cut, 0).tiebreaks.map((t) => [t.ids, t.pending]),
+  [[["d3", "e3"], true]]
+);
+
+console.log("\nRunning withdrawal tests...");
+
+const quit = makeMatch(["A", "B", "C", "D"], [9, 7, 3, 1]);
+quit.slots[0].status = "DNF";
+quit.slots[3].points = undefined;
+quit.slots[3].status = "DNS";
+check("withdrawn players rank below every finisher", placed(quit), [
+  "B",
+  "C",
+  "A",
+  "D",
+]);
+const withdrawn = {
+  ...r1,
+  matches: r1.matches.map((m) => ({
+    ...m,
+    slots: m.slots.map((s) => ({ ...s })),
+  })),
+};
+withdrawn.matches[1].slots.slice(1).forEach((s) => (s.status = "DQ"));
+const afterDq = namesOf(sandbox.buildNextRound(withdrawn, 0)).flat();
+check(
+  "the freed second place goes to the next best third",
+  [
+    afterDq.length,
+    afterDq.filter((n) => n.startsWith("B")),
+    afterDq.filter((n) => n.endsWith("3")).sort(),
+  ],
+  [15, ["B1"], ["C3", "D3", "E3", "F3"]]
+);
+const r2Played = {
+  id: "r2",
+  name: "Round 2",
+  computed: true,
+  matches: [
+    makeMatch(["G1", "G2", "G3", "G4", "G5"], [9, 7, 5, 3, 1]),
+    makeMatch(["H1", "H2", "H3", "H4", "H5"], [9, 7, 5, 4, 1]),
+    makeMatch(["I1", "I2", "I3", "I4", "I5"], [9, 7, 5, 2, 1]),
+  ],
+};
+r2Played.matches[0].slots.slice(2).forEach((s) => (s.status = "DNF"));
+const semi = sandbox.buildNextRound(r2Played, 1);
+check(
+  "without wildcards a freed place goes to the best of the place below",
+  [semi.stage, namesOf(semi).flat().length, namesOf(semi).flat().sort()],
+  ["semifinal", 9, ["G1", "G2", "H1", "H2", "H3", "H4", "I1", "I2", "I3"]]
+);
+
+console.log("\nRunning override tests...");
+
+vm.runInContext(
+  `state.participants = ${JSON.stringify(
+    r1.matches.flatMap((m) => m.slots.map((s) => s.participant))
+  )}`,
+  sandbox
+);
+const granted = sandbox.buildNextRound(r1, 0);
+const replaced = granted.matches[0].slots[0].participant;
+sandbox.applyOverride(granted, {
+  type: "replace",
+  matchIdx: 0,
+  id: "a4",
+  replacedId: replaced.id,
+  reason: "Equipment failure",
+});
+sandbox.applyOverride(granted, {
+  type: "add",
+  matchIdx: 1,
+  id: "b4",
+  reason: "Judge's wildcard",
+});
+check(
+  "overrides change the lineup",
+  [
+    granted.matches[0].slots[0].participant.name,
+    granted.matches[1].slots.length,
+  ],
+  ["A4", 6]
+);
+check(
+  "overrides are recorded with their reasons",
+  granted.overrides.map(sandbox.describeOverride),
+  [
+    `A4 replaced ${replaced.name} in Match A: Equipment failure`,
+    "Added B4 to Match B: Judge's wildcard",
+  ]
+);
+
+let overlays = 0;
+sandbox.document.body.appendChild = () => overlays++;
+vm.runInContext(
+  `state.rounds = [${JSON.stringify({ ...r1, computed: true })}]`,
+  sandbox
+);
+sandbox.buildNext();
+sandbox.buildNext();
+check("Next Round is ignored while its preview is open", overlays, 1);
+vm.runInContext("roundPreview.close()", sandbox);
+sandbox.buildNext();
+check("a closed preview can be opened again", overlays, 2);
+vm.runInContext("roundPreview.close(); state.rounds = []", sandbox);
+sandbox.document.body.appendChild = () => {};
+
+console.log("\nRunning downstream tests...");
+
+const copyRound = (r) => ({
+  ...r,
+  matches: r.matches.map((m) => ({
+    ...m,
+    slots: m.slots.map((s) => ({ ...s })),
+  })),
+});
+const played = copyRound(r1);
+const next = sandbox.seededStep(() => sandbox.buildNextRound(played, 0));
+next.matches.forEach((m) => m.slots.forEach((s, i) => (s.points = 9 - i)));
+next.computed = true;
+vm.runInContext("state.rounds", sandbox).push(played, next);
+check("unchanged results are in step", sandbox.staleRound(), null);
+played.matches[0].slots[2].points = 8;
+check("a changed cut is detected", sandbox.staleRound(), {
+  index: 1,
+  gained: ["a3"],
+  lost: ["d3"],
+});
+const lineupOf = (r) =>
+  r.matches.map((m) => m.slots.map((s) => s.participant.id));
+const swapped = lineupOf(next).map((ids) =>
+  ids.map((id) => (id === "d3" ? "a3" : id))
+);
+const { rebuilt, dropped } = sandbox.rebuildRoundsFrom(1);
+const redone = vm.runInContext("state.rounds[1]", sandbox);
+check(
+  "the incoming player takes the outgoing player's slot",
+  [rebuilt, dropped, lineupOf(redone)],
+  [["Round 2"], [], swapped]
+);
+const changedAt = swapped.findIndex((ids) => ids.includes("a3"));
+check(
+  "only the changed match is cleared",
+  redone.matches.map((m) => m.slots.map((s) => s.points)),
+  next.matches.map((m, i) =>
+    m.slots.map((s) => (i === changedAt ? undefined : s.points))
+  )
+);
+const pair = (a, b, pa, pb) => ({
+  id: `m_${a}`,
+  slots: [
+    { participant: makeParticipant(a), points: pa },
+    { participant: makeParticipant(b), points: pb },
+  ],
+});
+const carried = sandbox.carryResults(
+  {
+    matches: [
+      pair("A", "B"),
+      {
+        ...pair("C", "E"),
+        slots: [...pair("C", "E").slots, { participant: makeParticipant("F") }],
+      },
+    ],
+  },
+  { matches: [pair("B", "A", 4, 5), pair("C", "D", 6, 7)] }
+);
+check(
+  "a new draw keeps scores only where a match's lineup is unchanged",
+  carried.matches.map((m) => m.slots.map((s) => s.points)),
+  [
+    [5, 4],
+    [undefined, undefined, undefined],
+  ]
+);
+check(
+  "an incomplete rebuilt round is no longer computed",
+  [redone.computed, sandbox.staleRound()],
+  [false, null]
+);
+vm.runInContext("state.rounds = []; state.participants = []", sandbox);
+
+console.log("\nRunning display tests...");
+
+const shown = sandbox.displayRows(quit, 0, new Set(["b"]));
+check(
+  "display lists a match in finishing order",
+  shown.map((r) => [r.place, r.name, r.points, r.status, r.advances]),
+  [
+    [1, "B", 7, undefined, true],
+    [2, "C", 3, undefined, false],
+    [3, "A", 9, "DNF", false],
+    [4, "D", undefined, "DNS", false],
+  ]
+);
+check(
+  "unscored matches keep their slot order",
+  sandbox
+    .displayRows(makeMatch(["X", "Y"], [1, undefined]), 0)
+    .map((r) => [r.place, r.name]),
+  [
+    [null, "X"],
+    [null, "Y"],
+  ]
+);
+vm.runInContext("state.rounds", sandbox).push(r1, { matches: [] }, r2);
+check(
+  "display pages start with the current round",
+  sandbox.displayPages().map((p) => [p.rIdx, p.from, p.matches.length]),
+  [
+    [2, 0, 3],
+    [0, 0, 6],
+  ]
+);
+vm.runInContext("state.rounds = []", sandbox);
+
+console.log("\nRunning seed tests...");
+
+const idsFrom = (seed) =>
+  vm.runInContext(
+    `state.seed = ${JSON.stringify(seed)}; state.draws = 0; [uid(), uid()]`,
+    sandbox
+  );
+check("same seed gives the same ids", idsFrom("kapsel"), idsFrom("kapsel"));
+check(
+  "another seed gives other ids",
+  idsFrom("kapsel")[0] === idsFrom("vm")[0],
+  false
+);
+const drawsBefore = vm.runInContext("state.draws", sandbox);
+const built = sandbox.seededStep(() => sandbox.buildNextRound(r1, 0));
+const replayed = sandbox.seededStep(
+  () => sandbox.buildNextRound(r1, 0),
+  built.seed
+);
+check(
+  "a build step replays from its seed",
+  JSON.stringify(replayed),
+  JSON.stringify(built)
+);
+check(
+  "only the step's own seed is drawn from the stream",
+  vm.runInContext("state.draws", sandbox),
+  drawsBefore + 1
+);
+const stream = () => vm.runInContext("[state.seed, state.draws]", sandbox);
+const running = stream();
+vm.runInContext(
+  'state.rounds = [{ id: "rs", name: "Round 1", matches: [] }]',
+  sandbox
+);
+check(
+  "the seed can't change once rounds exist, and reusing it keeps the stream",
+  [sandbox.setSeed("other"), sandbox.setSeed(running[0]), stream()],
+  [false, true, running]
+);
+vm.runInContext("state.rounds = []", sandbox);
+
+const buttons = {};
+const previewSeeds = [];
+const { showRoundPreview: showPreview, dialogButton, renderRounds } = sandbox;
+sandbox.dialogButton = (card, label, onClick) => (buttons[label] = onClick);
+sandbox.renderRounds = () => {};
+sandbox.showRoundPreview = (round) => {
+  previewSeeds.push(round.seed);
+  showPreview(round);
+};
+vm.runInContext(
+  `state.rounds = [${JSON.stringify({ ...r1, computed: true })}]`,
+  sandbox
+);
+const drawsAtPreview = stream()[1];
+sandbox.buildNext();
+buttons.Cancel();
+check("a cancelled Next Round uses no draw", stream()[1], drawsAtPreview);
+sandbox.buildNext();
+buttons["Create round"]();
+check(
+  "the added round uses the draw its preview showed",
+  [
+    stream()[1],
+    previewSeeds[0] === previewSeeds[1],
+    vm.runInContext("state.rounds[1].seed", sandbox) === previewSeeds[0],
+  ],
+  [drawsAtPreview + 1, true, true]
+);
+vm.runInContext("state.rounds = []", sandbox);
+Object.assign(sandbox, {
+  showRoundPreview: showPreview,
+  dialogButton,
+  renderRounds,
+});
+
+console.log("\nRunning leg score tests...");
+
+const legged = { ...makeMatch(["A", "B"], [undefined, undefined]), legs: 3 };
+const [legA, legB] = legged.slots;
+sandbox.setLegScore(legged, legA, 0, 3);
+sandbox.setLegScore(legged, legA, 2, 4);
+check(
+  "points wait for every leg",
+  [legA.legs, legA.points],
+  [[3, null, 4], undefined]
+);
+sandbox.setLegScore(legged, legA, 1, 2);
+check("legs add up to the points", legA.points, 9);
+check("legs are described in order", sandbox.describeLegs(legA), "3 + 2 + 4");
+sandbox.setLegScore(legged, legB, 1, 5);
+sandbox.setLegScore(legged, legB, 1, NaN);
+check("clearing the only leg drops the detail", "legs" in legB, false);
+sandbox.setMatchLegs(legged, 2);
+check("fewer legs re-sum the rest", [legA.legs, legA.points], [[3, 2], 5]);
+sandbox.setMatchLegs(legged, 3);
+check(
+  "an added leg is open again",
+  [legA.legs, legA.points],
+  [[3, 2, null], undefined]
+);
+
+const legFile = () => ({
+  format: "kapsel-vm-tournament",
+  participants: [makeParticipant("A"), makeParticipant("B")],
+  rounds: [
+    {
+      id: "r_1",
+      name: "Round 1",
+      computed: false,
+      matches: [
+        {
+          id: "m_1",
+          legs: 2,
+          slots: [
+            { participant: makeParticipant("A"), legs: [3, 4], points: 7 },
+            { participant: makeParticipant("B"), legs: [1, null] },
+          ],
+        },
+      ],
+    },
+  ],
+  legs: 2,
+  seed: "legs",
+  draws: 0,
+});
+check(
+  "a file with leg scores is valid",
+  sandbox.validateTournamentData(legFile()),
+  []
+);
+const badLegs = legFile();
+badLegs.rounds[0].matches[0].slots[0].points = 8;
+badLegs.rounds[0].matches[0].slots[1].legs = [1];
+check("leg problems are reported", sandbox.validateTournamentData(badLegs), [
+  "rounds[0].matches[0].slots[0].points: must be the sum of the slot's legs",
+  "rounds[0].matches[0].slots[1].legs: must list a number or null for each of the match's legs",
+]);
+check(
+  "a one-leg default is refused",
+  sandbox.validateTournamentData({ ...legFile(), legs: 1 }),
+  ["legs: must be a whole number from 2 to 20 when present"]
+);
+
+vm.runInContext("state.legs = 4", sandbox);
+const leggedRound = sandbox.buildNextRound(r1, 0);
+check(
+  "new matches take the legs per match",
+  leggedRound.matches.map((m) => m.legs),
+  leggedRound.matches.map(() => 4)
+);
+vm.runInContext("state.legs = null", sandbox);
+vm.runInContext("state.rounds", sandbox).push({
+  name: "Round 1",
+  matches: [legged],
+  overrides: [],
+});
+const csvLines = sandbox.buildRoundsCsv().split("\n");
+check("CSV has a Legs column", csvLines[0].split(",")[7], "Legs");
+check("CSV lists each slot's legs", csvLines[1].split(",")[7], '"3 + 2 + –"');
+vm.runInContext("state.rounds = []", sandbox);
+
+console.log("\nRunning score rule tests...");
+
+const ruled = makeMatch(["A", "B", "C", "D"], [12.5, -1, 12, 12]);
+ruled.slots[3].participant = { id: "bye", name: "BYE" };
+ruled.slots[3].points = 0;
+check(
+  "default rules: whole numbers of at least 0",
+  sandbox.scoreViolations(ruled).map((v) => [v.slot, v.message]),
+  [
+    [0, "12.5 is not a whole number"],
+    [1, "-1 is below the minimum of 0"],
+  ]
+);
+vm.runInContext(
+  "state.scoreRules = { min: 0, max: 12, integers: false, total: 30, distinct: true }",
+  sandbox
+);
+ruled.slots[0].points = 12;
+ruled.slots[1].points = 13;
+check(
+  "max, distinct and total are checked; BYEs are left out",
+  sandbox.scoreViolations(ruled).map((v) => [v.slot, v.message]),
+  [
+    [1, "13 is above the maximum of 12"],
+    [0, "12 pts is also scored by C"],
+    [2, "12 pts is also scored by A"],
+    [null, "points add up to 37, not 30"],
+  ]
+);
+check(
+  "shoot-offs skip the match total",
+  sandbox.scoreViolations(ruled, { total: false }).some((v) => v.slot === null),
+  false
+);
+ruled.slots[1].status = "DNF";
+ruled.slots[2].points = 8;
+check("no total once a player withdrew", sandbox.scoreViolations(ruled), []);
+vm.runInContext("state.scoreRules = null", sandbox);
+const legRuled = {
+  ...makeMatch(["A", "B"], [undefined, 4]),
+  legs: 2,
+};
+legRuled.slots[0].legs = [1.5, null];
+check("whole numbers are checked per leg", sandbox.scoreViolations(legRuled), [
+  { slot: 0, leg: 0, message: "leg 1: 1.5 is not a whole number" },
+]);
+check(
+  "round problems name each missing score and violation",
+  sandbox.roundScoreProblems({
+    matches: [ruled, makeMatch(["E", "F"], [3, undefined]), legRuled],
+  }),
+  [
+    "Match B: F has no points",
+    "Match C: A has no points",
+    "Match C: A — leg 1: 1.5 is not a whole number",
+  ]
+);
+check(
+  "invalid rules are reported",
+  sandbox.validateScoreRules({
+    min: 10,
+    max: 5,
+    integers: "yes",
+    total: null,
+    distinct: false,
+  }),
+  ["integers: must be true or false", "max: must not be below min"]
+);
+
+console.log("\nRunning keyboard entry tests...");
+
+const done = makeMatch(["A", "B"], [3, 1]);
+const open1 = makeMatch(["C", "D"], [2, undefined]);
+const open2 = makeMatch(["E", "F"], [undefined, undefined]);
+const entries = [done, open1, open2].flatMap((m) =>
+  m.slots.map((s, i) => ({
+    field: { name: `${m.id}/${i}`, value: s.points === undefined ? "" : "1" },
+    match: m,
+  }))
+);
+const jump = (from) =>
+  sandbox.nextIncompleteEntry(entries, entries[from]?.field)?.field.name;
+check(
+  "jumps to the first open field of the next incomplete match",
+  jump(0),
+  "m_C/1"
+);
+check(
+  "skips complete matches and wraps round",
+  [jump(4), jump(5)],
+  ["m_C/1", "m_C/1"]
+);
+check("starts at the first incomplete match without focus", jump(-1), "m_C/1");
+open1.slots[1].points = 4;
+open2.slots.forEach((s) => (s.points = 4));
+vm.runInContext(
+  "state.scoreRules = { ...DEFAULT_SCORE_RULES, distinct: true }",
+  sandbox
+);
+check("a match breaking a rule still counts as incomplete", jump(2), "m_E/0");
+vm.runInContext("state.scoreRules = null", sandbox);
+check("nothing left once every match is complete", jump(0), undefined);
+
+console.log("\nRunning bracket tests...");
+
+vm.runInContext("state.rounds", sandbox).push(r1, r2);
+const layout = sandbox.bracketLayout();
+const kindOf = (name) =>
+  layout.links.find((l) => l.id === makeParticipant(name).id).kind;
+check("one line per player who moved on", layout.links.length, 15);
+check(
+  "lines are coloured by how the player advanced",
+  ["A1", "A2", "F3"].map(kindOf),
+  ["first", "second", "best-third"]
+);
+check(
+  "no line for eliminated players",
+  layout.links.some((l) => l.id === makeParticipant("A3").id),
+  false
+);
+const B = vm.runInContext("BRACKET", sandbox);
+const line = layout.links.find((l) => l.id === makeParticipant("A1").id);
+const [fromRow, toRow] = [0, 1].map((rIdx) =>
+  layout.rows.find((r) => r.rIdx === rIdx && r.id === line.id)
+);
+check(
+  "a line runs from the player's row to their next row",
+  [line.from.x, line.from.y, line.to.x, line.to.y],
+  [
+    fromRow.x + B.colWidth,
+    fromRow.y + B.rowHeight / 2,
+    toRow.x,
+    toRow.y + B.rowHeight / 2,
+  ]
+);
+vm.runInContext("state.rounds = []", sandbox);
+
+console.log("\nRunning player profile tests...");
+
+vm.runInContext("state.rounds", sandbox).push(r1, r2);
+const pathOf = (name) =>
+  sandbox
+    .playerPath(makeParticipant(name).id)
+    .map((e) => [e.round, e.score, e.place, e.outcome, e.total]);
+check("an advancing player's rounds with running totals", pathOf("F3"), [
+  ["Round 1", 7, 3, "Advanced as best 3rd", 7],
+  ["Round 2", null, null, "Round in progress", 7],
+]);
+check("an eliminated player stops after their last round", pathOf("A4"), [
+  ["Round 1", 0, 4, "Eliminated", 0],
+]);
+check(
+  "opponents are listed with their scores",
+  sandbox.playerPath(makeParticipant("A1").id)[0].opponents,
+  [
+    { name: "A2", score: 7 },
+    { name: "A3", score: 2 },
+    { name: "A4", score: 0 },
+  ]
+);
+vm.runInContext("state.rounds = []", sandbox);
+check("ordinals", [1, 2, 3, 4, 11, 12, 13, 21, 22].map(sandbox.ordinal), [
+  "1st",
+  "2nd",
+  "3rd",
+  "4th",
+  "11th",
+  "12th",
+  "13th",
+  "21st",
+  "22nd",
+]);
+check(
+  "country from the flag file",
+  [
+    sandbox.countryOf({ flagUrl: "https://flagcdn.com/no.svg" }),
+    sandbox.countryOf({ flagUrl: "assets/flags/dk.png?v=2" }),
+    sandbox.countryOf({ flagUrl: "" }),
+  ],
+  ["NO", "DK", ""]
+);
+
+console.log("\nRunning save file tests...");
+
+const saveFile = () => ({
+  format: "kapsel-vm-tournament",
+  version: 2,
+  participants: [makeParticipant("Ada"), makeParticipant("Bo")],
+  rounds: [
+    {
+      id: "r1",
+      name: "Round 1",
+      computed: false,
+      matches: [makeMatch(["Ada", "Bo"], [5, 3])],
+    },
+  ],
+  seed: "save",
+  draws: 3,
+});
+check(
+  "a current file is valid",
+  sandbox.validateTournamentData(saveFile()),
+  []
+);
+sandbox.restoreState(saveFile());
+check(
+  "restoring a file shares participants between the list and the slots",
+  [
+    vm.runInContext("[state.seed, state.draws]", sandbox),
+    vm.runInContext(
+      "state.rounds[0].matches[0].slots[0].participant === state.participants[0]",
+      sandbox
+    ),
+  ],
+  [["save", 3], true]
+);
+
+const legacy = saveFile();
+delete legacy.format;
+delete legacy.version;
+delete legacy.seed;
+delete legacy.draws;
+const migrated = sandbox.migrateSaveData(legacy);
+check(
+  "a file without a version is migrated to the current one",
+  [
+    migrated.version,
+    typeof migrated.seed === "string" && migrated.seed.length > 0,
+    migrated.draws,
+    sandbox.validateTournamentData(migrated),
+  ],
+  [2, true, 0, []]
+);
+sandbox.restoreState(legacy);
+const legacySeed = vm.runInContext("state.seed", sandbox);
+check(
+  "a legacy file loads",
+  vm.runInContext("state.participants.map((p) => p.name)", sandbox),
+  ["Ada", "Bo"]
+);
+let newer = null;
+try {
+  sandbox.migrateSaveData({ ...saveFile(), version: 3 });
+} catch (e) {
+  newer = e.message;
+}
+check(
+  "a file from a newer build is refused",
+  newer,
+  "Save format v3 is newer than this app (v2)."
+);
+
+check(
+  "fields of the wrong type are reported",
+  sandbox.validateTournamentData({
+    ...saveFile(),
+    participants: "Ada, Bo",
+    seed: 7,
+    draws: -1,
+  }),
+  [
+    "participants: must be a list",
+    "seed: must be a non-empty string",
+    "draws: must be a whole number of at least 0",
+  ]
+);
+const badTypes = saveFile();
+badTypes.participants[1].name = 5;
+badTypes.rounds[0].computed = 0;
+badTypes.rounds[0].matches[0].slots[0].points = "5";
+check(
+  "nested fields of the wrong type are reported",
+  sandbox.validateTournamentData(badTypes),
+  [
+    "participants[1].name: must be a non-empty string",
+    "rounds[0].computed: must be true or false",
+    "rounds[0].matches[0].slots[0].points: must be a number when present",
+  ]
+);
+
+const missing = saveFile();
+delete missing.rounds;
+delete missing.participants[0].id;
+check(
+  "missing fields are reported",
+  [
+    sandbox.validateTournamentData(missing),
+    sandbox.validateTournamentData({ ...saveFile(), rounds: [{ id: "r1" }] }),
+  ],
+  [
+    ["rounds: must be a list"],
+    [
+      "rounds[0].name: must be a non-empty string",
+      "rounds[0].computed: must be true or false",
+      "rounds[0].matches: must be a non-empty list",
+    ],
+  ]
+);
+let refused = null;
+try {
+  sandbox.restoreState(missing);
+} catch (e) {
+  refused = e.problems;
+}
+check(
+  "an invalid file is refused and the tournament is kept",
+  [refused, vm.runInContext("state.seed", sandbox)],
+  [["rounds: must be a list"], legacySeed]
+);
+
+const stored = {};
+sandbox.localStorage = {
+  getItem: (key) => stored[key] ?? null,
+  setItem: (key, value) => (stored[key] = value),
+};
+sandbox.restoreState({ ...saveFile(), legs: 3, tiebreaks: ["headToHead"] });
+vm.runInContext(
+  'state.rounds[0].matches[0].slots[1].status = "DNF"; stateChanged("Bo: DNF")',
+  sandbox
+);
+const saved = vm.runInContext("snapshotState()", sandbox);
+check("saving waits for a pause in editing", Object.keys(stored), []);
+sandbox.saveNow();
+vm.runInContext("state.participants = []; state.rounds = []", sandbox);
+sandbox.offerResume();
+check(
+  "a saved tournament is resumed as it was",
+  [
+    vm.runInContext("snapshotState()", sandbox) === saved,
+    vm.runInContext(
+      "state.rounds[0].matches[0].slots[1].participant === state.participants[1]",
+      sandbox
+    ),
+  ],
+  [true, true]
+);
+
+console.log(failures ? `\n${failures} failure(s)` : "\nFormat tests passed");
+process.exit(failures ? 1 : 0);
@@ -62,8 +62,8 @@ const sandbox = {
   btnReset: makeEl(),
   btnExport: makeEl(),
   fileImport: makeEl(),
-  fetchParticipantsFromDefaultSheet: async () => [],
-  fetchParticipantsFromSample: async () => [],
+  fetchParticipantsFromSource: async () => ({ participants: [], warnings: [] }),
+  describeSource: () => "test source",
 };
 vm.createContext(sandbox);
 vm.runInContext(appCode, sandbox);
@@ -67,8 +67,8 @@ const sandbox = {
     }
   },
   // minimal globals used by app.js
-  fetchParticipantsFromDefaultSheet: async () => [],
-  fetchParticipantsFromSample: async () => [],
+  fetchParticipantsFromSource: async () => ({ participants: [], warnings: [] }),
+  describeSource: () => "test source",
 };
 
 // Provide globals that app.js sometimes expects as implicit globals (ids -> globals in browsers)
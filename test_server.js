@@ -0,0 +1,312 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createSyncServer } = require("./server.js");
+
+let failures = 0;
+function check(label, actual, expected) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) {
+    console.log("ok  ", label);
+  } else {
+    failures++;
+    console.log("FAIL", label, "\n  got     ", a, "\n  expected", e);
+  }
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kapsel-server-"));
+const dataFile = path.join(dir, "tournament.json");
+let clock = 1000;
+const now = () => clock;
+
+function start() {
+  const server = createSyncServer({ dataFile, now });
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () => resolve(server))
+  );
+}
+
+async function call(server, method, resource, body) {
+  const res = await fetch(
+    `http://127.0.0.1:${server.address().port}/${resource}`,
+    {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    }
+  );
+  const text = await res.text();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    json = text;
+  }
+  return { status: res.status, json };
+}
+
+const tournament = {
+  format: "kapsel-vm-tournament",
+  version: 2,
+  participants: [
+    { id: "ada", name: "Ada" },
+    { id: "bo", name: "Bo" },
+  ],
+  rounds: [
+    {
+      id: "r1",
+      name: "Round 1",
+      computed: false,
+      matches: [
+        {
+          id: "ma",
+          slots: [
+            { participant: { id: "ada", name: "Ada" } },
+            { participant: { id: "bo", name: "Bo" } },
+          ],
+        },
+      ],
+    },
+  ],
+  seed: "server",
+  draws: 0,
+};
+
+async function main() {
+  console.log("Running sync server tests...");
+  let server = await start();
+
+  check(
+    "a fresh server has no tournament",
+    (await call(server, "GET", "api/state")).json,
+    {
+      rev: 0,
+      data: null,
+      claims: {},
+    }
+  );
+  check(
+    "the first tournament is stored",
+    (
+      await call(server, "PUT", "api/state", {
+        client: "a",
+        base: 0,
+        data: tournament,
+      })
+    ).json,
+    { rev: 1 }
+  );
+  const stale = await call(server, "PUT", "api/state", {
+    client: "b",
+    base: 0,
+    data: tournament,
+  });
+  check(
+    "a change on an old revision is refused",
+    [stale.status, stale.json.rev],
+    [409, 1]
+  );
+
+  const claimed = await call(server, "POST", "api/claims/r1/ma", {
+    client: "a",
+  });
+  check("a scorer claims a match", Object.keys(claimed.json.claims), ["r1/ma"]);
+  const slots = [
+    { participant: "ada", points: 7 },
+    { participant: "bo", points: 5 },
+  ];
+  const blocked = await call(server, "POST", "api/scores/r1/ma", {
+    client: "b",
+    slots,
+  });
+  check(
+    "another scorer can't score a claimed match",
+    [blocked.status, blocked.json.error],
+    [409, "Match is being scored on another device"]
+  );
+  check(
+    "another scorer can't claim it either",
+    (await call(server, "POST", "api/claims/r1/ma", { client: "b" })).status,
+    409
+  );
+  check(
+    "the claiming scorer's scores are saved",
+    (await call(server, "POST", "api/scores/r1/ma", { client: "a", slots }))
+      .json,
+    { rev: 2 }
+  );
+  const swapped = await call(server, "POST", "api/scores/r1/ma", {
+    client: "a",
+    slots: [slots[1], slots[0]],
+  });
+  check("scores for another lineup are refused", swapped.status, 409);
+  const invalid = await Promise.all(
+    [
+      [{ ...slots[0], points: "7" }, slots[1]],
+      [{ ...slots[0], status: "Injured" }, slots[1]],
+      [{ ...slots[0], legs: [3, 4] }, slots[1]],
+    ].map((bad) =>
+      call(server, "POST", "api/scores/r1/ma", { client: "a", slots: bad })
+    )
+  );
+  check(
+    "invalid points, statuses and legs are refused",
+    invalid.map((res) => [res.status, res.json.problems]),
+    [
+      [400, ["slots[0].points: must be a number when present"]],
+      [400, ["slots[0].status: must be one of DNS, DNF, DQ, Forfeit"]],
+      [
+        400,
+        [
+          "slots[0].legs: must list a number or null for each of the match's legs",
+        ],
+      ],
+    ]
+  );
+  check(
+    "a malformed URL is refused",
+    (
+      await call(server, "POST", "api/scores/r1/%E0%A4%A", {
+        client: "a",
+        slots,
+      })
+    ).status,
+    400
+  );
+  const rescored = JSON.parse(JSON.stringify(tournament));
+  rescored.rounds[0].matches[0].slots[0].points = 9;
+  const overwrite = await call(server, "PUT", "api/state", {
+    client: "b",
+    base: 2,
+    data: rescored,
+  });
+  check(
+    "an upload can't change a match claimed on another device",
+    [overwrite.status, overwrite.json.error],
+    [409, "Match is being scored on another device"]
+  );
+  rescored.rounds[0].matches[0].slots[0].points = "9";
+  check(
+    "an upload with invalid scores is refused",
+    (
+      await call(server, "PUT", "api/state", {
+        client: "a",
+        base: 2,
+        data: rescored,
+      })
+    ).status,
+    400
+  );
+  const broken = await call(server, "PUT", "api/state", {
+    client: "a",
+    base: 2,
+    data: { ...tournament, participants: 5, rounds: [{}] },
+  });
+  check(
+    "an upload clients couldn't load is refused",
+    [broken.status, broken.json.problems],
+    [400, ["participants: must be a list"]]
+  );
+  check(
+    "the shape of rounds, matches and slots is checked",
+    (
+      await call(server, "PUT", "api/state", {
+        client: "a",
+        base: 2,
+        data: {
+          ...tournament,
+          rounds: [
+            { id: "r1", name: "Round 1", computed: true, matches: [{}] },
+            {},
+          ],
+        },
+      })
+    ).json.problems,
+    [
+      "rounds[0].matches[0].id: must be a non-empty string",
+      "rounds[0].matches[0].slots: must be a non-empty list",
+      "rounds[1].id: must be a non-empty string",
+      "rounds[1].name: must be a non-empty string",
+      "rounds[1].computed: must be true or false",
+      "rounds[1].matches: must be a non-empty list",
+    ]
+  );
+  check(
+    "bodies and slots that aren't objects are refused",
+    [
+      (await call(server, "POST", "api/claims/r1/ma", null)).status,
+      (
+        await call(server, "POST", "api/scores/r1/ma", {
+          client: "a",
+          slots: [null, slots[1]],
+        })
+      ).json,
+    ],
+    [
+      400,
+      { error: "Invalid scores", problems: ["slots[0]: must be an object"] },
+    ]
+  );
+
+  clock += 6 * 60 * 1000;
+  check(
+    "an idle claim lapses",
+    (await call(server, "POST", "api/claims/r1/ma", { client: "b" })).status,
+    200
+  );
+
+  check(
+    "the app is served, other files are not",
+    [
+      (await call(server, "GET", "")).status,
+      (await call(server, "GET", "app.js")).status,
+      (await call(server, "GET", "assets/sample.csv")).status,
+      (await call(server, "GET", "requests.jsonl")).status,
+      (await call(server, "GET", "server.js")).status,
+      (await call(server, "GET", "test_server.js")).status,
+      (await call(server, "GET", "..%2Fetc%2Fpasswd")).status,
+    ],
+    [200, 200, 200, 404, 404, 404, 404]
+  );
+
+  await new Promise((resolve) => server.close(resolve));
+  server = await start();
+  const reloaded = (await call(server, "GET", "api/state")).json;
+  check(
+    "the tournament survives a restart",
+    [
+      reloaded.rev,
+      reloaded.data.rounds[0].matches[0].slots.map((s) => [
+        s.participant.name,
+        s.points,
+      ]),
+    ],
+    [
+      2,
+      [
+        ["Ada", 7],
+        ["Bo", 5],
+      ],
+    ]
+  );
+  await new Promise((resolve) => server.close(resolve));
+}
+
+const guard = setTimeout(() => {
+  console.log("FAIL server tests timed out");
+  process.exit(1);
+}, 20000);
+main()
+  .catch((e) => {
+    failures++;
+    console.log("FAIL", e);
+  })
+  .finally(() => {
+    clearTimeout(guard);
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log(
+      failures ? `\n${failures} failure(s)` : "\nServer tests passed"
+    );
+    process.exit(failures ? 1 : 0);
+  });
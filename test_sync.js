@@ -0,0 +1,364 @@
+const fs = require("fs");
+const vm = require("vm");
+
+const appCode = fs.readFileSync("./app.js", "utf8");
+
+// Minimal DOM mock used by app.js
+function makeEl() {
+  return {
+    innerHTML: "",
+    textContent: "",
+    disabled: false,
+    value: "",
+    children: [],
+    className: "",
+    appendChild(child) {
+      this.children.push(child);
+    },
+    remove() {},
+    addEventListener() {},
+    querySelector() {
+      return null;
+    },
+    querySelectorAll() {
+      return [];
+    },
+    style: {},
+    dataset: {},
+    classList: { add() {}, toggle() {} },
+  };
+}
+
+// BroadcastChannel stand-in: delivers to every other window synchronously,
+// or queues messages while `held` to simulate edits crossing in flight
+const channels = [];
+const queued = [];
+class FakeChannel {
+  constructor() {
+    this.listeners = [];
+    channels.push(this);
+  }
+  addEventListener(type, fn) {
+    this.listeners.push(fn);
+  }
+  postMessage(data) {
+    if (FakeChannel.held) return queued.push([this, data]);
+    const copy = JSON.parse(JSON.stringify(data));
+    channels
+      .filter((c) => c !== this)
+      .forEach((c) => c.listeners.forEach((fn) => fn({ data: copy })));
+  }
+}
+
+const dialogs = [];
+function openWindow() {
+  const elements = {};
+  const sandbox = {
+    console: { ...console, log() {} },
+    setTimeout,
+    clearTimeout,
+    BroadcastChannel: FakeChannel,
+    document: {
+      body: { appendChild() {} },
+      querySelector(sel) {
+        if (!elements[sel]) elements[sel] = makeEl();
+        return elements[sel];
+      },
+      querySelectorAll() {
+        return [];
+      },
+      createElement() {
+        return makeEl();
+      },
+    },
+    window: { addEventListener() {} },
+    getComputedStyle() {
+      return { paddingTop: "0px" };
+    },
+    alert() {},
+    confirm() {
+      return true;
+    },
+    btnNext: makeEl(),
+    btnReset: makeEl(),
+    fetchParticipantsFromSource: async () => ({
+      participants: [],
+      warnings: [],
+    }),
+    describeSource: () => "test source",
+  };
+  vm.createContext(sandbox);
+  vm.runInContext(appCode, sandbox);
+  sandbox.dialogs = dialogs;
+  vm.runInContext(
+    "showSyncConflict = (msg, merged) => dialogs.push(merged)",
+    sandbox
+  );
+  return (code) => vm.runInContext(code, sandbox);
+}
+
+let failures = 0;
+function check(label, actual, expected) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a === e) {
+    console.log("ok  ", label);
+  } else {
+    failures++;
+    console.log("FAIL", label, "\n  got     ", a, "\n  expected", e);
+  }
+}
+
+console.log("Running live sync tests...");
+
+const scorer = openWindow();
+scorer(`
+  state.participants = ["Ada", "Bo", "Cy", "Dee"].map((name) => ({
+    id: name.toLowerCase(),
+    name,
+  }));
+  state.rounds = [
+    {
+      id: "r1",
+      name: "Round 1",
+      matches: [
+        { id: "ma", slots: state.participants.slice(0, 2).map((participant) => ({ participant })) },
+        { id: "mb", slots: state.participants.slice(2).map((participant) => ({ participant })) },
+      ],
+    },
+  ];
+  stateChanged("Setup");
+`);
+const second = openWindow();
+const points = (win) =>
+  JSON.parse(
+    win(
+      "JSON.stringify(state.rounds.map((r) => r.matches.map((m) => m.slots.map((s) => s.points ?? null))))"
+    )
+  );
+check("a new window is brought up to date", points(second), [
+  [
+    [null, null],
+    [null, null],
+  ],
+]);
+
+scorer(
+  "state.rounds[0].matches[0].slots[0].points = 7; stateChanged('Ada: 7')"
+);
+check("scores reach the other window", points(second), [
+  [
+    [7, null],
+    [null, null],
+  ],
+]);
+
+// Two windows score different matches at the same time: both edits survive
+const base = JSON.parse(scorer("snapshotState()"));
+const mine = JSON.parse(JSON.stringify(base));
+const theirs = JSON.parse(JSON.stringify(base));
+mine.rounds[0].matches[0].slots[1].points = 5;
+theirs.rounds[0].matches[1].slots[0].points = 9;
+const merged = scorer(
+  `mergeSnapshots(...${JSON.stringify([base, mine, theirs])})`
+);
+check(
+  "edits to different matches merge",
+  [
+    merged.conflicts,
+    merged.data.rounds[0].matches.map((m) =>
+      m.slots.map((s) => s.points ?? null)
+    ),
+  ],
+  [
+    [],
+    [
+      [7, 5],
+      [9, null],
+    ],
+  ]
+);
+
+theirs.rounds[0].matches[0].slots[1].points = 6;
+const clash = scorer(
+  `mergeSnapshots(...${JSON.stringify([base, mine, theirs])})`
+);
+check(
+  "the same match scored in both windows is a conflict",
+  clash.conflicts.map((c) => [c.where, c.reshaped]),
+  [["Round 1, Match A", false]]
+);
+check(
+  "a conflict can be settled with either side",
+  [
+    scorer(
+      `resolveConflicts(${JSON.stringify(clash.data)}, ${JSON.stringify(
+        clash.conflicts
+      )}, "mine")`
+    ).rounds[0].matches[0].slots[1].points,
+    scorer(
+      `resolveConflicts(${JSON.stringify(clash.data)}, ${JSON.stringify(
+        clash.conflicts
+      )}, "theirs")`
+    ).rounds[0].matches[0].slots[1].points,
+  ],
+  [5, 6]
+);
+
+const computed = JSON.parse(JSON.stringify(base));
+computed.rounds[0].computed = true;
+check(
+  "a structure change on one side keeps the other side's scores",
+  scorer(`mergeSnapshots(...${JSON.stringify([base, mine, computed])})`).data
+    .rounds[0],
+  { ...mine.rounds[0], computed: true }
+);
+const reset = JSON.parse(JSON.stringify(base));
+reset.rounds = [];
+check(
+  "both sides changing the structure can't be merged",
+  scorer(`mergeSnapshots(...${JSON.stringify([base, computed, reset])})`).data,
+  null
+);
+
+// Two edits made before either window heard of the other's
+FakeChannel.held = true;
+scorer(
+  "state.rounds[0].matches[1].slots[1].points = 4; stateChanged('Dee: 4')"
+);
+second("state.rounds[0].matches[0].slots[1].points = 3; stateChanged('Bo: 3')");
+FakeChannel.held = false;
+queued.splice(0).forEach(([from, data]) => from.postMessage(data));
+const agreed = [
+  [
+    [7, 3],
+    [null, 4],
+  ],
+];
+check(
+  "crossing edits are merged and both windows agree",
+  [points(scorer), points(second), dialogs.length],
+  [agreed, agreed, 0]
+);
+scorer("state.rounds[0].matches[1].slots[0].points = 2; stateChanged('Cy: 2')");
+check("the windows stay in step afterwards", points(second), [
+  [
+    [7, 3],
+    [2, 4],
+  ],
+]);
+
+FakeChannel.held = true;
+scorer(
+  "state.rounds[0].matches[0].slots[0].points = 9; stateChanged('Ada: 9')"
+);
+second(
+  "state.rounds[0].matches[0].slots[0].points = 6; stateChanged('Ada: 6')"
+);
+FakeChannel.held = false;
+queued.splice(0).forEach(([from, data]) => from.postMessage(data));
+check(
+  "the same score changed in both windows asks the organiser",
+  dialogs.map((d) => d.conflicts.map((c) => c.where)),
+  [["Round 1, Match A"], ["Round 1, Match A"]]
+);
+
+second("syncEditing('r1/mb')");
+check(
+  "windows announce the match they are scoring",
+  [scorer("peerEditing('r1/mb')"), scorer("peerEditing('r1/ma')")],
+  [true, false]
+);
+
+console.log("\nRunning undo/redo tests...");
+
+const desk = openWindow();
+desk(`
+  state.participants = ["Eve", "Fay", "Gus", "Hal"].map((name) => ({
+    id: name.toLowerCase(),
+    name,
+  }));
+  state.rounds = [
+    {
+      id: "u1",
+      name: "Round 1",
+      matches: [{ id: "mu", slots: state.participants.map((participant) => ({ participant })) }],
+    },
+  ];
+  resetHistory();
+`);
+const typed = (win) =>
+  JSON.parse(
+    win("JSON.stringify(state.rounds[0].matches[0].slots[0].points ?? null)")
+  );
+const steps = (win) =>
+  JSON.parse(
+    win(
+      "JSON.stringify([undoHistory.undo.map((e) => e.label), undoHistory.redo.map((e) => e.label)])"
+    )
+  );
+["1", "12"].forEach((text) =>
+  desk(`
+    state.rounds[0].matches[0].slots[0].points = ${text};
+    stateChanged("Eve: ${text}", { coalesceKey: "points:u1:mu:0" });
+  `)
+);
+desk(`
+  state.rounds[0].matches[0].slots[1].points = 7;
+  stateChanged("Fay: 7", { coalesceKey: "points:u1:mu:1" });
+`);
+check("typing in one field is one undo step", steps(desk), [
+  ["Eve: 12", "Fay: 7"],
+  [],
+]);
+desk("undo(); undo()");
+check("undo restores the score before typing", typed(desk), null);
+desk("redo()");
+check("redo brings the typed score back", typed(desk), 12);
+desk("redo()");
+
+desk(`
+  state.rounds[0].matches[0].slots.forEach((s, i) => (s.points = 12 - i));
+  state.rounds[0].computed = true;
+  stateChanged("Round Winners");
+  state.rounds.push({
+    id: "u2",
+    name: "Final Table",
+    matches: [{ id: "mv", slots: state.participants.slice(0, 2).map((participant) => ({ participant })) }],
+  });
+  stateChanged("Next Round: Final Table");
+`);
+const roundsOf = (win) =>
+  JSON.parse(
+    win(
+      "JSON.stringify([state.rounds.map((r) => r.name), state.rounds[0].computed ?? false])"
+    )
+  );
+desk("undo()");
+check("undo takes back a Next Round", roundsOf(desk), [["Round 1"], true]);
+desk("redo()");
+check(
+  "redo restores it with players shared with the list",
+  [
+    roundsOf(desk),
+    desk(
+      "state.rounds[1].matches[0].slots[0].participant === state.participants[0]"
+    ),
+  ],
+  [[["Round 1", "Final Table"], true], true]
+);
+
+desk("undo()");
+desk(`
+  state.rounds[0].matches[0].slots[0].points = 20;
+  stateChanged("Eve: 20", { coalesceKey: "points:u1:mu:0" });
+`);
+desk("redo()");
+check(
+  "a new edit clears redo",
+  [steps(desk)[1], roundsOf(desk)[0], typed(desk)],
+  [[], ["Round 1"], 20]
+);
+
+console.log(failures ? `\n${failures} failure(s)` : "\nSync tests passed");
+process.exit(failures ? 1 : 0);